@@ -9,16 +9,147 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
 
-const { readFileSync, writeFileSync, existsSync, mkdirSync } = fs;
+const yauzl = require('yauzl');
+const { DOMParser } = require('@xmldom/xmldom');
+const { Tiktoken, getEncodingNameForModel } = require('js-tiktoken/lite');
+
+const { existsSync, mkdirSync, mkdtempSync, rmSync, renameSync, readdirSync, statSync, createReadStream, createWriteStream, writeFileSync, readFileSync } = fs;
+
+const DOCX_PARTS = {
+    document: 'word/document.xml',
+    documentRels: 'word/_rels/document.xml.rels',
+    styles: 'word/styles.xml',
+    numbering: 'word/numbering.xml',
+    comments: 'word/comments.xml',
+    footnotes: 'word/footnotes.xml',
+    endnotes: 'word/endnotes.xml',
+    contentTypes: '[Content_Types].xml'
+};
+// Only these parts are read into memory; everything else in the package is skipped or streamed
+const DOCX_PART_NAMES = Object.values(DOCX_PARTS);
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const IMAGE_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+
+// Image formats recognised from their magic bytes
+const IMAGE_FORMATS = {
+    png: { extension: 'png', contentType: 'image/png' },
+    jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+    gif: { extension: 'gif', contentType: 'image/gif' },
+    bmp: { extension: 'bmp', contentType: 'image/bmp' },
+    webp: { extension: 'webp', contentType: 'image/webp' },
+    tiff: { extension: 'tif', contentType: 'image/tiff' },
+    emf: { extension: 'emf', contentType: 'image/x-emf' },
+    wmf: { extension: 'wmf', contentType: 'image/x-wmf' },
+    svg: { extension: 'svg', contentType: 'image/svg+xml' }
+};
+
+// Formats browsers and vision models cannot show; converted when imageConversion is set
+const CONVERTIBLE_FORMATS = ['emf', 'wmf', 'bmp', 'tiff'];
+// Formats sharp can decode; the others go through the external vector converter
+const SHARP_INPUT_FORMATS = ['png', 'jpeg', 'gif', 'webp', 'tiff', 'svg'];
+// Bytes kept from the start of each image for format and dimension detection
+const IMAGE_HEADER_BYTES = 256 * 1024;
+// Formats tesseract.js can read; vector images are not recognized
+const OCR_INPUT_FORMATS = ['png', 'jpeg', 'gif', 'bmp', 'webp', 'tiff'];
+// Offline language data (<language>.traineddata or .traineddata.gz) for OCR, used before the npm packaged data
+const DEFAULT_OCR_LANGUAGE_DATA_PATH = process.env.TESSDATA_PREFIX || path.join(__dirname, '..', 'config', 'tessdata');
+// Persistent registry of image file names, read from and written to the output directory
+const IMAGE_REGISTRY_FILE = 'image_registry.json';
+// Chunks of unchanged sections are reused from this file of the previous run
+const SECTION_STATE_FILE = 'section_state.json';
+// Bump when a change to the chunker makes saved sections unusable
+const SECTION_STATE_VERSION = 7;
+// Hex digits of the content hash kept in chunk ids
+const CHUNK_ID_HASH_LENGTH = 16;
+// Element fields left out of section hashes: ids and group numbers shift when other sections change
+const SECTION_HASH_IGNORED_KEYS = ['id', 'groupId', 'listBlock'];
+// Image record fields that describe the stored file and are shared by duplicate occurrences
+const SHARED_IMAGE_FIELDS = [
+    'filename', 'path', 'content_type', 'format', 'width', 'height', 'size_bytes', 'sha256',
+    'original_filename', 'original_path', 'conversion'
+];
+
+// Default sizes per unit: [target, max, overlap, min]
+const SIZE_DEFAULTS = {
+    characters: [800, 1200, 150, 300],
+    tokens: [200, 300, 40, 75]
+};
+
+// BPE ranks bundled with js-tiktoken, loaded on first use
+const TOKEN_ENCODINGS = {
+    cl100k_base: () => require('js-tiktoken/ranks/cl100k_base'),
+    o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+    p50k_base: () => require('js-tiktoken/ranks/p50k_base'),
+    r50k_base: () => require('js-tiktoken/ranks/r50k_base')
+};
+const encoders = new Map();
+
+const TRACKED_CHANGE_MODES = ['accept', 'reject', 'annotate'];
+
+// State/section/topic vocabulary shared with the README generators and the UI
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, '..', 'config', 'taxonomy.json');
+const TAXONOMY_DIMENSIONS = ['states', 'sections', 'topics'];
+
+// Confidence of a context tag by where it was found; tab titles are exact, body mentions only hint
+const CONTEXT_CONFIDENCE = {
+    tab: 1,
+    heading: 0.9,
+    body: 0.6
+};
+
+// Marks where an inline drawing sits in paragraph text until it becomes [IMAGE_PLACEHOLDER_N]
+const IMAGE_ANCHOR = '\uFFFC';
+const IMAGE_ANCHOR_PATTERN = /\uFFFC/g;
+
+// "Image 3: . Delivery date set up", "Figure 2 - Cart view"
+const CAPTION_PATTERN = /^(?:image|figure|fig\.?)\s*(\d+)\s*[:.\-\u2013\u2014]\s*(.*)$/i;
 
 class EnhancedDocxProcessor {
     constructor(options = {}) {
-        this.targetChunkSize = options.targetChunkSize || 800;
-        this.maxChunkSize = options.maxChunkSize || 1200;
-        this.overlapSize = options.overlapSize || 150;
+        // Chunk sizes are measured in characters, or in tokens of `tokenEncoding`
+        this.sizeUnit = options.sizeUnit === 'tokens' ? 'tokens' : 'characters';
+        this.tokenEncoding = options.tokenEncoding || 'cl100k_base';
+        // Per-model counts load a rank table per encoding (over 100 MB each), so they are opt-in
+        this.tokenCountModels = options.tokenCountModels || [];
+        const [target, max, overlap, min] = SIZE_DEFAULTS[this.sizeUnit];
+        this.targetChunkSize = options.targetChunkSize || target;
+        this.maxChunkSize = Math.max(options.maxChunkSize || max, this.targetChunkSize);
+        this.overlapSize = options.overlapSize === undefined || isNaN(options.overlapSize) ? overlap : options.overlapSize;
+        this.minChunkSize = options.minChunkSize === undefined || isNaN(options.minChunkSize) ? min : options.minChunkSize;
+        this.separatorSize = this.measure('\n\n');
+        // Tab manifest saved by google-docs-sync; defaults to <docx name>.tabs.json next to the DOCX
+        this.tabManifestPath = options.tabManifestPath;
+        // Suggested edits (w:ins/w:del): accept them, reject them, or keep the original text and
+        // list the suggestions in chunk metadata
+        this.trackedChanges = TRACKED_CHANGE_MODES.includes(options.trackedChanges) ? options.trackedChanges : 'annotate';
+        this.includeComments = options.includeComments !== false;
+        this.includeFootnotes = options.includeFootnotes !== false;
+        // Runs of unlabeled images: stay after the preceding text or move below a following heading
+        this.imageGroupAttachment = options.imageGroupAttachment === 'following_heading' ? 'following_heading' : 'preceding_text';
+        this.maxImageGroupSize = Math.max(1, parseInt(options.maxImageGroupSize) || 5);
+        // Optional conversion of EMF/WMF/BMP/TIFF and oversized images to "png" or "webp" (originals are kept)
+        this.imageConversion = ['png', 'webp'].includes(options.imageConversion) ? options.imageConversion : null;
+        this.maxImageDimension = parseInt(options.maxImageDimension) || 2000;
+        this.vectorConverter = options.vectorConverter || 'soffice';
+        // Optional OCR of image files; ocrInChunks also adds the recognized text to each chunk as `ocr_text`
+        this.ocr = options.ocr === true;
+        this.ocrLanguages = [].concat(options.ocrLanguages || 'eng').join('+').split('+').filter(Boolean);
+        this.ocrLanguageDataPath = options.ocrLanguageDataPath || null;
+        this.ocrInChunks = options.ocrInChunks === true;
+        // Reuse the chunks of sections whose content hash did not change since the run that wrote sectionStatePath
+        this.incremental = options.incremental === true;
+        this.sectionStatePath = options.sectionStatePath;
+        // Registry from the previous run that keeps image file names stable; defaults to <outputDir>/image_registry.json
+        this.imageRegistryPath = options.imageRegistryPath;
+        this.taxonomy = compileTaxonomy(options.taxonomy || loadTaxonomy(options.taxonomyPath));
         this.imageCounter = 1;
+        this.imagesExcluded = 0;
         this.elementIdCounter = 0;
         this.currentState = null;
         this.currentSection = null;
@@ -27,272 +158,2403 @@ class EnhancedDocxProcessor {
     }
 
     /**
-     * Main processing method
+     * Main processing method
+     */
+    async processDocument(docxPath, outputDir) {
+        console.log(`Processing DOCX file: ${docxPath}`);
+        
+        // Create output directories (files of a previous run are pruned once the reused sections are known)
+        const imagesDir = path.join(outputDir, 'images');
+        mkdirSync(imagesDir, { recursive: true });
+
+        this.imageCounter = 1;
+        this.imagesExcluded = 0;
+        this.elementIdCounter = 0;
+        this.currentTabSection = null;
+        this.runStartedAt = new Date().toISOString();
+        this.imageRegistry = this.loadImageRegistry(this.imageRegistryPath || path.join(outputDir, IMAGE_REGISTRY_FILE));
+        this.imageFilesReused = 0;
+        this.imageFilesAdded = 0;
+        this.timings = {};
+        this.peakRss = 0;
+        const startedAt = Date.now();
+        this.stageStartedAt = startedAt;
+
+        let elements = await this.readDocumentElements(docxPath);
+        this.tabManifest = await this.loadTabManifest(docxPath);
+        if (this.tabManifest && !this.assignTabs(elements, this.tabManifest)) {
+            this.tabManifest = null;
+        }
+        this.attachCaptions(elements);
+        const outline = this.buildOutline(elements);
+        elements = this.groupConsecutiveImages(elements);
+        this.tagContext(elements);
+        this.markListBlocks(elements);
+        const sections = this.splitSections(elements);
+        this.markStage('analyzeElements');
+
+        // Sections are chunked independently; unchanged ones are taken from the previous run
+        const saved = this.incremental ? this.loadSectionState(this.sectionStatePath || path.join(outputDir, SECTION_STATE_FILE)) : new Map();
+        const rebuiltChunks = [];
+        sections.forEach(section => {
+            const previous = saved.get(section.hash);
+            if (previous) {
+                section.reused = true;
+                section.chunks = structuredClone(previous.chunks);
+                section.imagesExcluded = previous.images_excluded;
+            } else {
+                const excludedBefore = this.imagesExcluded;
+                section.reused = false;
+                section.chunks = this.buildChunks(section.elements, section.start);
+                section.imagesExcluded = this.imagesExcluded - excludedBefore;
+                rebuiltChunks.push(...section.chunks);
+            }
+        });
+        this.imagesExcluded = sections.reduce((sum, section) => sum + section.imagesExcluded, 0);
+        // Reused images keep their files, so their names stay taken even when the registry was not loaded
+        sections.filter(section => section.reused).forEach(section => section.chunks.forEach(chunk => chunk.images
+            .filter(image => image.sha256 && image.filename)
+            .forEach(image => this.reserveImageStem(this.imageRegistry, image.sha256, image.filename))));
+        this.removeUnreferencedImages(imagesDir, sections.filter(section => section.reused).flatMap(section => section.chunks));
+        const chunks = this.renumberChunks(sections);
+        this.linkChunkNeighbors(chunks);
+        this.markStage('buildChunks');
+
+        // Only images of rebuilt sections are extracted; reused ones keep their files from the earlier run
+        await this.extractImages(docxPath, imagesDir, rebuiltChunks);
+        const uniqueImages = this.linkDuplicateImages(chunks);
+        this.markStage('extractImages');
+        const ocr = this.ocr ? await this.recognizeImageText(imagesDir, rebuiltChunks) : { status: 'disabled', reason: null, images: 0 };
+        this.markStage('ocr');
+        this.writeSectionState(outputDir, sections);
+        this.writeImageRegistry(outputDir, chunks);
+        this.markStage('writeRegistry');
+        this.timings.total = Date.now() - startedAt;
+        
+        return {
+            chunks,
+            imageCount: this.imageCounter - 1,
+            outline,
+            statistics: {
+                sections: {
+                    total: sections.length,
+                    reused: sections.filter(section => section.reused).length,
+                    rebuilt: sections.filter(section => !section.reused).length
+                },
+                imagesExcluded: this.imagesExcluded,
+                uniqueImages,
+                duplicateImages: this.imageCounter - 1 - uniqueImages,
+                imageFiles: { reused: this.imageFilesReused, added: this.imageFilesAdded },
+                ocr,
+                imageGroups: new Set(elements.map(element => element.groupId).filter(Boolean)).size,
+                elementsProcessed: elements.length,
+                headingsDetected: elements.filter(element => element.isHeading).length,
+                tabManifestUsed: !!this.tabManifest,
+                tabsDetected: this.detectTabSections(chunks),
+                commentsAttached: this.anchoredComments.size,
+                footnotesAttached: elements.reduce((sum, element) => sum + (element.footnotes || []).length, 0),
+                trackedChanges: {
+                    mode: this.trackedChanges,
+                    changes: elements.reduce((sum, element) => sum + (element.trackedChanges || []).length, 0)
+                },
+                contextChanges: this.countContextChanges(chunks),
+                imageMarkers: this.countImageMarkers(chunks),
+                timings: this.timings,
+                peakMemoryMb: Math.round(this.peakRss / 1024 / 1024)
+            }
+        };
+    }
+
+    /**
+     * Read the XML parts of the package and parse the body into the element stream.
+     * The parts and their DOM stay local to this method, so they can be freed before
+     * the images are extracted; image binaries are never read into memory.
+     */
+    async readDocumentElements(docxPath) {
+        // Sizes and CRCs of every entry fingerprint the media parts for section hashes
+        this.packageEntries = new Map();
+        const parts = await readDocxEntries(docxPath, name => DOCX_PART_NAMES.includes(name), this.packageEntries);
+        if (!parts.has(DOCX_PARTS.document)) {
+            throw new Error(`Invalid DOCX file: ${DOCX_PARTS.document} not found in ${docxPath}`);
+        }
+        this.markStage('readParts');
+
+        this.headingStyles = this.parseHeadingStyles(parts.get(DOCX_PARTS.styles));
+        this.relationships = this.parseRelationships(parts.get(DOCX_PARTS.documentRels));
+        this.contentTypes = this.parseContentTypes(parts.get(DOCX_PARTS.contentTypes));
+        this.numbering = this.parseNumbering(parts.get(DOCX_PARTS.numbering));
+        this.listCounters = new Map();
+        this.anchoredComments = new Set();
+        this.comments = this.includeComments ? this.parseComments(parts.get(DOCX_PARTS.comments)) : new Map();
+        this.notes = new Map(this.includeFootnotes ? [
+            ...this.parseNotes(parts.get(DOCX_PARTS.footnotes), 'footnote'),
+            ...this.parseNotes(parts.get(DOCX_PARTS.endnotes), 'endnote')
+        ] : []);
+
+        const documentXml = parseXml(parts.get(DOCX_PARTS.document));
+        const body = findChild(documentXml.documentElement, 'body');
+        if (!body) {
+            throw new Error('Invalid DOCX file: document body not found');
+        }
+
+        const elements = this.parseBodyElements(body);
+        this.markStage('parseDocument');
+        return elements;
+    }
+
+    /**
+     * Record the milliseconds since the previous stage in `timings` and sample resident memory
+     */
+    markStage(name) {
+        const now = Date.now();
+        this.timings[name] = now - this.stageStartedAt;
+        this.stageStartedAt = now;
+        this.peakRss = Math.max(this.peakRss, process.memoryUsage().rss);
+    }
+
+    /**
+     * Map paragraph style ids to heading levels using word/styles.xml
+     * (Title = 0, Heading 1-6 = 1-6)
+     */
+    parseHeadingStyles(stylesBuffer) {
+        const headingStyles = new Map([['Title', 0]]);
+        for (let level = 1; level <= 6; level++) {
+            headingStyles.set(`Heading${level}`, level);
+        }
+
+        if (!stylesBuffer) {
+            return headingStyles;
+        }
+
+        const stylesXml = parseXml(stylesBuffer);
+        for (const style of childElements(stylesXml.documentElement, 'style')) {
+            const styleId = getAttribute(style, 'styleId');
+            const nameNode = findChild(style, 'name');
+            const name = nameNode ? getAttribute(nameNode, 'val').toLowerCase() : '';
+
+            const headingMatch = name.match(/^heading ([1-6])$/);
+            if (headingMatch) {
+                headingStyles.set(styleId, parseInt(headingMatch[1]));
+            } else if (name === 'title') {
+                headingStyles.set(styleId, 0);
+            }
+        }
+
+        return headingStyles;
+    }
+
+    /**
+     * Parse word/_rels/document.xml.rels into a map of relationship id -> target
+     */
+    parseRelationships(relsBuffer) {
+        const relationships = new Map();
+        if (!relsBuffer) {
+            return relationships;
+        }
+
+        const relsXml = parseXml(relsBuffer);
+        for (const relationship of childElements(relsXml.documentElement, 'Relationship')) {
+            const target = getAttribute(relationship, 'Target');
+            const external = getAttribute(relationship, 'TargetMode') === 'External';
+
+            relationships.set(getAttribute(relationship, 'Id'), {
+                type: getAttribute(relationship, 'Type'),
+                target,
+                external,
+                // Targets are relative to word/ unless they are absolute package paths
+                partName: external ? null : path.posix.normalize(target.startsWith('/') ? target.slice(1) : `word/${target}`)
+            });
+        }
+
+        return relationships;
+    }
+
+    /**
+     * Parse [Content_Types].xml into extension defaults and part overrides
+     */
+    parseContentTypes(contentTypesBuffer) {
+        const contentTypes = { defaults: new Map(), overrides: new Map() };
+        if (!contentTypesBuffer) {
+            return contentTypes;
+        }
+
+        const typesXml = parseXml(contentTypesBuffer);
+        for (const node of childElements(typesXml.documentElement)) {
+            const contentType = getAttribute(node, 'ContentType');
+            if (node.localName === 'Default') {
+                contentTypes.defaults.set(getAttribute(node, 'Extension').toLowerCase(), contentType);
+            } else if (node.localName === 'Override') {
+                contentTypes.overrides.set(getAttribute(node, 'PartName').replace(/^\//, ''), contentType);
+            }
+        }
+
+        return contentTypes;
+    }
+
+    /**
+     * Parse word/numbering.xml into a map of numId -> level definitions
+     */
+    parseNumbering(numberingBuffer) {
+        const numbering = new Map();
+        if (!numberingBuffer) {
+            return numbering;
+        }
+
+        const parseLevel = (level) => {
+            const valueOf = (name) => {
+                const node = findChild(level, name);
+                return node ? getAttribute(node, 'val') : null;
+            };
+            return {
+                format: valueOf('numFmt') || 'decimal',
+                text: valueOf('lvlText') || '',
+                start: parseInt(valueOf('start') || '1')
+            };
+        };
+
+        const numberingXml = parseXml(numberingBuffer);
+        const abstractLevels = new Map();
+        for (const abstractNum of childElements(numberingXml.documentElement, 'abstractNum')) {
+            const levels = new Map();
+            for (const level of childElements(abstractNum, 'lvl')) {
+                levels.set(parseInt(getAttribute(level, 'ilvl')), parseLevel(level));
+            }
+            abstractLevels.set(getAttribute(abstractNum, 'abstractNumId'), levels);
+        }
+
+        for (const num of childElements(numberingXml.documentElement, 'num')) {
+            const abstractRef = findChild(num, 'abstractNumId');
+            const levels = new Map(abstractLevels.get(abstractRef ? getAttribute(abstractRef, 'val') : '') || []);
+
+            // Instance-level overrides replace or restart individual levels
+            for (const override of childElements(num, 'lvlOverride')) {
+                const levelIndex = parseInt(getAttribute(override, 'ilvl'));
+                const level = findChild(override, 'lvl');
+                const startOverride = findChild(override, 'startOverride');
+                const base = level ? parseLevel(level) : { ...(levels.get(levelIndex) || parseLevel(override)) };
+                if (startOverride) {
+                    base.start = parseInt(getAttribute(startOverride, 'val'));
+                }
+                levels.set(levelIndex, base);
+            }
+
+            numbering.set(getAttribute(num, 'numId'), levels);
+        }
+
+        return numbering;
+    }
+
+    /**
+     * Parse word/comments.xml into a map of comment id -> author, date and text
+     */
+    parseComments(commentsBuffer) {
+        const comments = new Map();
+        if (!commentsBuffer) {
+            return comments;
+        }
+
+        const commentsXml = parseXml(commentsBuffer);
+        for (const comment of childElements(commentsXml.documentElement, 'comment')) {
+            comments.set(getAttribute(comment, 'id'), {
+                author: getAttribute(comment, 'author'),
+                date: getAttribute(comment, 'date'),
+                text: this.collectBlockText(comment)
+            });
+        }
+
+        return comments;
+    }
+
+    /**
+     * Parse word/footnotes.xml or word/endnotes.xml into a map of "type:id" -> note record.
+     * Separator notes Word adds for layout are skipped.
+     */
+    parseNotes(notesBuffer, type) {
+        const notes = new Map();
+        if (!notesBuffer) {
+            return notes;
+        }
+
+        const notesXml = parseXml(notesBuffer);
+        for (const note of childElements(notesXml.documentElement, type)) {
+            const noteType = getAttribute(note, 'type');
+            const text = this.collectBlockText(note);
+            if ((noteType && noteType !== 'normal') || !text) {
+                continue;
+            }
+
+            const id = getAttribute(note, 'id');
+            notes.set(`${type}:${id}`, { footnote_id: id, type, text });
+        }
+
+        return notes;
+    }
+
+    /**
+     * Plain text of the paragraphs inside a comment or note
+     */
+    collectBlockText(node) {
+        return Array.from(node.getElementsByTagNameNS(WORD_NAMESPACE, 'p'))
+            .map(paragraph => Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 't'))
+                .map(run => run.textContent)
+                .join('')
+                .replace(/\s+/g, ' ')
+                .trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Advance the list counters for a numbered paragraph and return its marker ("1.", "a.", "-")
+     */
+    nextListMarker(numId, levelIndex) {
+        const levels = this.numbering.get(numId);
+        if (!levels) {
+            return null;
+        }
+
+        if (!this.listCounters.has(numId)) {
+            this.listCounters.set(numId, []);
+        }
+        const counters = this.listCounters.get(numId);
+        const level = levels.get(levelIndex) || { format: 'decimal', text: `%${levelIndex + 1}.`, start: 1 };
+
+        counters[levelIndex] = counters[levelIndex] === undefined ? level.start : counters[levelIndex] + 1;
+        // Starting a new item resets every deeper level
+        counters.length = levelIndex + 1;
+
+        if (level.format === 'bullet' || level.format === 'none') {
+            return level.format === 'none' ? '' : '-';
+        }
+
+        return level.text.replace(/%([1-9])/g, (match, levelNumber) => {
+            const index = parseInt(levelNumber) - 1;
+            const levelDefinition = levels.get(index) || level;
+            const value = counters[index] === undefined ? levelDefinition.start : counters[index];
+            return formatListNumber(value, levelDefinition.format);
+        }) || '-';
+    }
+
+    /**
+     * Mark runs of consecutive list items so short procedures are kept in one chunk
+     */
+    markListBlocks(elements) {
+        let block = null;
+
+        elements.forEach(element => {
+            if (element.type === 'text' && element.list) {
+                if (!block || block.numId !== element.list.numId) {
+                    block = { start: element.id, numId: element.list.numId, length: 0 };
+                }
+                block.length += this.measure(element.text);
+                element.listBlock = block;
+            } else if (element.type !== 'image') {
+                block = null;
+            }
+        });
+    }
+
+    /**
+     * Resolve an r:embed id to the media part inside the package
+     */
+    resolveImageMedia(relationshipId) {
+        const relationship = this.relationships.get(relationshipId);
+        if (!relationship || relationship.external || relationship.type !== IMAGE_RELATIONSHIP_TYPE) {
+            return null;
+        }
+
+        const extension = path.posix.extname(relationship.partName).slice(1).toLowerCase();
+        return {
+            partName: relationship.partName,
+            originalName: path.posix.basename(relationship.partName),
+            extension: extension || 'bin',
+            contentType: this.contentTypes.overrides.get(relationship.partName)
+                || this.contentTypes.defaults.get(extension)
+                || 'application/octet-stream'
+        };
+    }
+
+    /**
+     * Delete the files in the images directory (and its originals/) that none of the reused
+     * chunks reference, so a run into the same folder keeps exactly the files its chunks point at.
+     * Without reused chunks the directory is emptied.
+     */
+    removeUnreferencedImages(imagesDir, reusedChunks) {
+        const kept = new Set();
+        reusedChunks.forEach(chunk => chunk.images.forEach(image => {
+            kept.add(image.filename);
+            if (image.original_filename) {
+                kept.add(path.join('originals', image.original_filename));
+            }
+        }));
+
+        [imagesDir, path.join(imagesDir, 'originals')].filter(existsSync).forEach(directory => {
+            readdirSync(directory, { withFileTypes: true })
+                .filter(entry => entry.isFile() && !kept.has(path.relative(imagesDir, path.join(directory, entry.name))))
+                .forEach(entry => rmSync(path.join(directory, entry.name), { force: true }));
+        });
+    }
+
+    /**
+     * Copy the media binaries referenced by the chunks into the images directory.
+     * Identical images (one screenshot pasted into several tabs) are stored once: every
+     * occurrence keeps its own record and context but points at the first occurrence's file.
+     * File names come from the image registry, so they do not depend on reading order.
+     * Returns the number of distinct image files.
+     */
+    async extractImages(docxPath, imagesDir, chunks) {
+        const occurrences = new Map();
+
+        for (const chunk of chunks) {
+            for (const image of chunk.images) {
+                if (!occurrences.has(image.media_part)) {
+                    occurrences.set(image.media_part, []);
+                }
+                occurrences.get(image.media_part).push(image);
+            }
+        }
+
+        // Each media part is written once to a staging name and renamed when its bytes are known
+        const stagingName = image => `${image.image_id}.part`;
+        const targets = new Map([...occurrences].map(([partName, images]) => [partName, path.join(imagesDir, stagingName(images[0]))]));
+        const entries = await extractDocxEntries(docxPath, targets);
+        const files = new Map();
+        let fileCount = 0;
+
+        for (const [partName, images] of occurrences) {
+            const entry = entries.get(partName);
+            if (!entry) {
+                console.warn(`Image media not found in DOCX: ${partName}`);
+            }
+
+            let file = entry ? files.get(entry.sha256) : null;
+            if (file) {
+                // Same bytes as an earlier media part
+                rmSync(path.join(imagesDir, stagingName(images[0])), { force: true });
+            } else {
+                file = images[0];
+                const filename = `${this.registeredImageStem(entry)}${path.extname(file.filename)}`;
+                if (entry) {
+                    renameSync(path.join(imagesDir, stagingName(file)), path.join(imagesDir, filename));
+                }
+                file.filename = filename;
+                file.path = `semantic_output/images/${filename}`;
+                await this.prepareImageFile(imagesDir, file, entry);
+                fileCount++;
+                if (entry) {
+                    files.set(entry.sha256, file);
+                }
+            }
+
+            images.forEach(image => this.shareImageFile(image, file));
+        }
+
+        return fileCount;
+    }
+
+    /**
+     * File name stem for stored bytes: the name the registry gave the same sha256 in an earlier
+     * run, otherwise the next unused number. Numbers are never reused, even after an image is removed.
+     */
+    registeredImageStem(entry) {
+        const known = entry ? this.imageRegistry.stems.get(entry.sha256) : null;
+        if (known) {
+            this.imageFilesReused++;
+            return known;
+        }
+
+        this.imageFilesAdded++;
+        const stem = `image_${this.imageRegistry.nextNumber++}`;
+        if (entry) {
+            this.imageRegistry.stems.set(entry.sha256, stem);
+        }
+        return stem;
+    }
+
+    /**
+     * Describe an extracted file from its bytes, fix its extension and convert it when configured
+     */
+    async prepareImageFile(imagesDir, image, entry) {
+        // The bytes decide the format; the part name extension is often wrong in exports
+        const format = entry ? entry.format : null;
+
+        image.format = format;
+        image.width = entry ? entry.width : null;
+        image.height = entry ? entry.height : null;
+        image.size_bytes = entry ? entry.size : null;
+        image.sha256 = entry ? entry.sha256 : null;
+        image.original_filename = null;
+        image.original_path = null;
+        image.conversion = null;
+
+        if (format && IMAGE_FORMATS[format].extension !== path.extname(image.filename).slice(1)) {
+            this.renameImage(imagesDir, image, `${path.parse(image.filename).name}.${IMAGE_FORMATS[format].extension}`);
+        }
+        if (format) {
+            image.content_type = IMAGE_FORMATS[format].contentType;
+        }
+
+        if (entry && this.imageConversion && this.needsConversion(image)) {
+            await this.convertImage(imagesDir, image);
+        }
+    }
+
+    /**
+     * Point an image occurrence at the stored file; `duplicate_of` names the occurrence that owns it
+     */
+    shareImageFile(image, file) {
+        delete image.media_part;
+        image.duplicate_of = image === file ? null : file.image_id;
+        if (image === file) {
+            return;
+        }
+
+        SHARED_IMAGE_FIELDS.forEach(field => {
+            image[field] = file[field];
+        });
+    }
+
+    /**
+     * Link duplicates across all chunks, reused and rebuilt: the first occurrence of each
+     * sha256 in reading order owns the file. Returns the number of distinct image files.
+     */
+    linkDuplicateImages(chunks) {
+        const files = new Map();
+        let fileCount = 0;
+
+        chunks.forEach(chunk => chunk.images.forEach(image => {
+            const file = image.sha256 ? files.get(image.sha256) : null;
+            if (!file) {
+                fileCount++;
+                if (image.sha256) {
+                    files.set(image.sha256, image);
+                }
+            }
+            this.shareImageFile(image, file || image);
+        }));
+
+        return fileCount;
+    }
+
+    /**
+     * Rename an extracted image and update its record
+     */
+    renameImage(imagesDir, image, filename) {
+        renameSync(path.join(imagesDir, image.filename), path.join(imagesDir, filename));
+        image.filename = filename;
+        image.path = `semantic_output/images/${filename}`;
+    }
+
+    /**
+     * OCR every stored image file once with tesseract.js and set `ocr_text` on each occurrence.
+     * Language data is read from disk only, never downloaded; when it or tesseract.js is
+     * missing the stage is skipped and the reason reported.
+     */
+    async recognizeImageText(imagesDir, chunks) {
+        const tesseract = loadTesseract();
+        if (!tesseract) {
+            return this.skipOcr('tesseract.js is not installed');
+        }
+
+        const languageDataPath = this.ocrLanguageDataPath || findOcrLanguageData(this.ocrLanguages);
+        const gzip = !hasOcrLanguageData(languageDataPath, this.ocrLanguages, false);
+        const missing = this.ocrLanguages.filter(language => !hasOcrLanguageData(languageDataPath, [language], gzip));
+        if (missing.length > 0) {
+            return this.skipOcr(`no language data for ${missing.join(', ')} in ${languageDataPath}`);
+        }
+
+        let worker;
+        try {
+            worker = await tesseract.createWorker(this.ocrLanguages, undefined, {
+                langPath: languageDataPath,
+                gzip,
+                cacheMethod: 'none'
+            });
+        } catch (error) {
+            return this.skipOcr(`could not start tesseract.js: ${error.message || error}`);
+        }
+
+        const results = new Map();
+        try {
+            for (const chunk of chunks) {
+                for (const image of chunk.images) {
+                    if (!results.has(image.filename)) {
+                        results.set(image.filename, await this.recognizeImage(worker, imagesDir, image));
+                    }
+                    const result = results.get(image.filename);
+                    image.ocr_text = result ? result.text : null;
+                    image.ocr_confidence = result ? result.confidence : null;
+                }
+
+                if (this.ocrInChunks) {
+                    chunk.ocr_text = chunk.images
+                        .filter(image => image.ocr_text)
+                        .map(image => `[IMAGE_PLACEHOLDER_${image.number}] ${image.ocr_text}`)
+                        .join('\n\n') || null;
+                }
+            }
+        } finally {
+            await worker.terminate();
+        }
+
+        return { status: 'completed', reason: null, images: [...results.values()].filter(Boolean).length };
+    }
+
+    /**
+     * Recognize the text of one image file; unreadable formats and failures give null
+     */
+    async recognizeImage(worker, imagesDir, image) {
+        if (!OCR_INPUT_FORMATS.includes(image.format)) {
+            return null;
+        }
+
+        try {
+            const { data } = await worker.recognize(path.join(imagesDir, image.filename));
+            const text = data.text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+            return { text: text || null, confidence: text ? Math.round(data.confidence) / 100 : null };
+        } catch (error) {
+            console.warn(`OCR failed for ${image.filename}: ${error.message || error}`);
+            return null;
+        }
+    }
+
+    /**
+     * Statistics entry for an OCR stage that did not run
+     */
+    skipOcr(reason) {
+        console.warn(`Skipping OCR: ${reason}`);
+        return { status: 'skipped', reason, images: 0 };
+    }
+
+    /**
+     * Whether an image should be converted: formats consumers cannot show, or larger than maxImageDimension
+     */
+    needsConversion(image) {
+        return CONVERTIBLE_FORMATS.includes(image.format)
+            || Math.max(image.width || 0, image.height || 0) > this.maxImageDimension;
+    }
+
+    /**
+     * Convert an image to the configured format. The original moves to images/originals/ and the
+     * converted file takes its place, so chunks keep pointing at something displayable.
+     * Failures leave the original in place and are recorded in `conversion`.
+     */
+    async convertImage(imagesDir, image) {
+        const sourcePath = path.join(imagesDir, image.filename);
+        const targetName = `${path.parse(image.filename).name}.${this.imageConversion}`;
+        const originalsDir = path.join(imagesDir, 'originals');
+        const conversion = { status: 'converted', from: image.format, to: this.imageConversion, reason: null };
+        // Written next to the target first, so a failed conversion leaves nothing behind
+        const convertedPath = path.join(imagesDir, `${targetName}.part`);
+        let workDir = null;
+
+        try {
+            let input = sourcePath;
+            if (!SHARP_INPUT_FORMATS.includes(image.format)) {
+                workDir = mkdtempSync(path.join(os.tmpdir(), 'docx-image-'));
+                input = await convertWithCommand(this.vectorConverter, sourcePath, workDir);
+            }
+
+            const sharp = loadSharp();
+            if (!sharp) {
+                throw new Error('sharp is not installed');
+            }
+
+            const converted = await sharp(input)
+                .resize({ width: this.maxImageDimension, height: this.maxImageDimension, fit: 'inside', withoutEnlargement: true })
+                .toFormat(this.imageConversion)
+                .toFile(convertedPath);
+
+            mkdirSync(originalsDir, { recursive: true });
+            renameSync(sourcePath, path.join(originalsDir, image.filename));
+            renameSync(convertedPath, path.join(imagesDir, targetName));
+
+            image.original_filename = image.filename;
+            image.original_path = `semantic_output/images/originals/${image.filename}`;
+            image.filename = targetName;
+            image.path = `semantic_output/images/${targetName}`;
+            image.format = this.imageConversion;
+            image.content_type = IMAGE_FORMATS[this.imageConversion].contentType;
+            image.width = converted.width;
+            image.height = converted.height;
+            image.size_bytes = converted.size;
+        } catch (error) {
+            console.warn(`Could not convert ${image.filename}: ${error.message}`);
+            conversion.status = 'failed';
+            conversion.reason = error.message;
+        } finally {
+            rmSync(convertedPath, { force: true });
+            if (workDir) {
+                rmSync(workDir, { recursive: true, force: true });
+            }
+        }
+
+        image.conversion = conversion;
+    }
+
+    /**
+     * Walk the document body in order and produce a flat element stream
+     */
+    parseBodyElements(container) {
+        const elements = [];
+
+        for (const node of childElements(container)) {
+            switch (node.localName) {
+                case 'p':
+                    elements.push(...this.parseParagraph(node));
+                    break;
+                case 'tbl':
+                    elements.push(this.parseTable(node));
+                    break;
+                case 'sdt': {
+                    // Content controls wrap regular body content
+                    const content = findChild(node, 'sdtContent');
+                    if (content) {
+                        elements.push(...this.parseBodyElements(content));
+                    }
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+
+        return elements;
+    }
+
+    /**
+     * Parse a paragraph into a text element followed by its image elements
+     */
+    parseParagraph(paragraph) {
+        const elements = [];
+        const { text, plainText, images, links, comments, footnotes, trackedChanges, allBold } = this.collectParagraphContent(paragraph);
+
+        const styleNode = findDescendant(paragraph, ['pPr', 'pStyle']);
+        const style = styleNode ? getAttribute(styleNode, 'val') : null;
+        const headingLevel = style && this.headingStyles.has(style) ? this.headingStyles.get(style) : null;
+        // Drawings inside body text stay at their offset; in headings and picture-only
+        // paragraphs they become image elements after the text
+        const inline = headingLevel === null && text.replace(IMAGE_ANCHOR_PATTERN, '').trim().length > 0;
+        let trimmed = (inline ? text : text.replace(IMAGE_ANCHOR_PATTERN, '')).replace(/[ \t]+\n/g, '\n').trim();
+        const plainTrimmed = trimmed.replace(IMAGE_ANCHOR_PATTERN, '').trim();
+
+        let list = null;
+        const numPr = findDescendant(paragraph, ['pPr', 'numPr']);
+        if (numPr && plainTrimmed) {
+            const numIdNode = findChild(numPr, 'numId');
+            const levelNode = findChild(numPr, 'ilvl');
+            const numId = numIdNode ? getAttribute(numIdNode, 'val') : '0';
+            const level = levelNode ? parseInt(getAttribute(levelNode, 'val')) || 0 : 0;
+            const marker = numId !== '0' ? this.nextListMarker(numId, level) : null;
+
+            if (marker !== null) {
+                list = { numId, level, marker };
+                trimmed = `${'   '.repeat(level)}${marker ? `${marker} ` : ''}${trimmed}`;
+            }
+        }
+
+        if (plainTrimmed) {
+            elements.push({
+                id: this.elementIdCounter++,
+                type: 'text',
+                text: trimmed,
+                // Paragraph text as written, before list markers or caption clean-up
+                sourceText: plainText.replace(/\s+/g, ' ').trim(),
+                links,
+                comments,
+                footnotes,
+                trackedChanges,
+                style,
+                isHeading: headingLevel !== null,
+                headingLevel,
+                // Short, fully bold paragraphs act as headings in documents without heading styles
+                titleLike: headingLevel === null && !list && !inline && allBold
+                    && plainTrimmed.length <= 80 && plainTrimmed.split(/\s+/).length <= 10 && !/[.!?]$/.test(plainTrimmed),
+                list,
+                inlineImages: inline ? images.map(image => this.createImageElement(image)) : []
+            });
+        }
+
+        if (!inline) {
+            elements.push(...images.map(image => this.createImageElement(image)));
+        }
+
+        return elements;
+    }
+
+    /**
+     * Image element for a drawing found while collecting paragraph content
+     */
+    createImageElement(image, tableCell = null) {
+        return {
+            id: this.elementIdCounter++,
+            type: 'image',
+            relationshipId: image.relationshipId,
+            runOffset: image.runOffset,
+            altText: image.altText,
+            title: image.title,
+            tableCell,
+            hasLabel: false
+        };
+    }
+
+    /**
+     * Collect run text and drawing references of a paragraph in document order.
+     * Each drawing leaves an IMAGE_ANCHOR in `text` and records its offset in the plain text.
+     */
+    collectParagraphContent(paragraph) {
+        // `text` renders hyperlinks as Markdown, `plainText` keeps the words only
+        let text = '';
+        let plainText = '';
+        const images = [];
+        const links = [];
+        const fields = [];
+        const comments = [];
+        const openComments = new Map();
+        const footnotes = [];
+        const trackedChanges = [];
+        let allBold = true;
+        // Alt text of the drawing being read, from wp:docPr before its picture
+        let altText = null;
+
+        const append = (value) => {
+            text += value;
+            plainText += value;
+        };
+
+        const wrapLink = (start, url) => {
+            const anchor = text.slice(start);
+            if (!url || !anchor.trim()) {
+                return;
+            }
+            text = text.slice(0, start) + this.formatMarkdownLink(anchor, url);
+            links.push(this.createLinkRecord(anchor.trim(), url));
+        };
+
+        const visit = (node) => {
+            for (const child of childElements(node)) {
+                switch (child.localName) {
+                    case 't':
+                    case 'delText':
+                        append(child.textContent);
+                        if (child.textContent.trim() && !isBoldRun(child.parentNode)) {
+                            allBold = false;
+                        }
+                        break;
+                    case 'tab':
+                        if (child.parentNode.localName === 'r') {
+                            append('\t');
+                        }
+                        break;
+                    case 'br':
+                    case 'cr':
+                        append('\n');
+                        break;
+                    case 'hyperlink': {
+                        const relationship = this.relationships.get(getAttribute(child, 'id'));
+                        const start = text.length;
+                        visit(child);
+                        // Internal bookmark links (w:anchor) stay plain text
+                        if (relationship && relationship.external) {
+                            wrapLink(start, relationship.target);
+                        }
+                        break;
+                    }
+                    case 'fldSimple': {
+                        const start = text.length;
+                        visit(child);
+                        wrapLink(start, parseHyperlinkField(getAttribute(child, 'instr')));
+                        break;
+                    }
+                    case 'fldChar': {
+                        // Complex fields: begin, instruction text, separate, result runs, end
+                        const fieldCharType = getAttribute(child, 'fldCharType');
+                        if (fieldCharType === 'begin') {
+                            fields.push({ instruction: '', start: null });
+                        } else if (fieldCharType === 'separate' && fields.length > 0) {
+                            fields[fields.length - 1].start = text.length;
+                        } else if (fieldCharType === 'end' && fields.length > 0) {
+                            const field = fields.pop();
+                            if (field.start !== null) {
+                                wrapLink(field.start, parseHyperlinkField(field.instruction));
+                            }
+                        }
+                        break;
+                    }
+                    case 'instrText':
+                        if (fields.length > 0) {
+                            fields[fields.length - 1].instruction += child.textContent;
+                        }
+                        break;
+                    case 'ins':
+                    case 'moveTo':
+                    case 'del':
+                    case 'moveFrom': {
+                        const isInsertion = child.localName === 'ins' || child.localName === 'moveTo';
+                        const before = [text.length, plainText.length, images.length, links.length];
+                        visit(child);
+                        const changedText = plainText.slice(before[1]);
+                        // Accepting keeps insertions and drops deletions, rejecting does the opposite
+                        if ((this.trackedChanges === 'accept') !== isInsertion) {
+                            text = text.slice(0, before[0]);
+                            plainText = plainText.slice(0, before[1]);
+                            images.length = before[2];
+                            links.length = before[3];
+                        }
+                        if (changedText.trim()) {
+                            trackedChanges.push({
+                                type: isInsertion ? 'insertion' : 'deletion',
+                                text: changedText.trim(),
+                                author: getAttribute(child, 'author'),
+                                date: getAttribute(child, 'date')
+                            });
+                        }
+                        break;
+                    }
+                    case 'commentRangeStart': {
+                        const commentId = getAttribute(child, 'id');
+                        if (this.comments.has(commentId) && !this.anchoredComments.has(commentId)) {
+                            this.anchoredComments.add(commentId);
+                            openComments.set(commentId, plainText.length);
+                        }
+                        break;
+                    }
+                    case 'commentRangeEnd': {
+                        const commentId = getAttribute(child, 'id');
+                        if (openComments.has(commentId)) {
+                            comments.push(this.createCommentRecord(commentId, plainText.slice(openComments.get(commentId))));
+                            openComments.delete(commentId);
+                        }
+                        break;
+                    }
+                    case 'commentReference': {
+                        // Comments without a range are anchored at their reference mark
+                        const commentId = getAttribute(child, 'id');
+                        if (this.comments.has(commentId) && !this.anchoredComments.has(commentId)) {
+                            this.anchoredComments.add(commentId);
+                            comments.push(this.createCommentRecord(commentId, ''));
+                        }
+                        break;
+                    }
+                    case 'footnoteReference':
+                    case 'endnoteReference': {
+                        const note = this.notes.get(`${child.localName.replace('Reference', '')}:${getAttribute(child, 'id')}`);
+                        if (note) {
+                            footnotes.push(note);
+                        }
+                        break;
+                    }
+                    case 'docPr':
+                        altText = { description: getAttribute(child, 'descr'), title: getAttribute(child, 'title') };
+                        break;
+                    case 'blip':
+                    case 'imagedata': {
+                        // DrawingML pictures use r:embed, legacy VML pictures r:id with alt text on the shape
+                        const isBlip = child.localName === 'blip';
+                        const relationshipId = getAttribute(child, isBlip ? 'embed' : 'id');
+                        const alt = isBlip
+                            ? altText || {}
+                            : { description: getAttribute(child.parentNode, 'alt'), title: getAttribute(child, 'title') };
+                        if (relationshipId) {
+                            text += IMAGE_ANCHOR;
+                            images.push({
+                                relationshipId,
+                                runOffset: plainText.length,
+                                altText: normalizeAltText(alt.description),
+                                title: normalizeAltText(alt.title)
+                            });
+                        }
+                        altText = null;
+                        break;
+                    }
+                    case 'AlternateContent': {
+                        // Choice and Fallback describe the same content, only read the first
+                        const choice = childElements(child)[0];
+                        if (choice) {
+                            visit(choice);
+                        }
+                        break;
+                    }
+                    case 'pPr':
+                    case 'rPr':
+                        break;
+                    default:
+                        visit(child);
+                }
+            }
+        };
+
+        visit(paragraph);
+
+        // A comment range that continues into later paragraphs is anchored to this one
+        for (const [commentId, start] of openComments) {
+            comments.push(this.createCommentRecord(commentId, plainText.slice(start)));
+        }
+
+        return {
+            text,
+            plainText,
+            images,
+            links,
+            comments,
+            footnotes,
+            trackedChanges,
+            allBold: allBold && text.trim().length > 0
+        };
+    }
+
+    /**
+     * Comment metadata with the document text it is anchored to
+     */
+    createCommentRecord(commentId, anchorText) {
+        const comment = this.comments.get(commentId);
+        return {
+            comment_id: commentId,
+            author: comment.author,
+            date: comment.date,
+            text: comment.text,
+            anchor_text: anchorText.replace(/\s+/g, ' ').trim()
+        };
+    }
+
+    /**
+     * Render a Markdown link, escaping characters that would end the anchor or URL early
+     */
+    formatMarkdownLink(anchor, url) {
+        const leading = anchor.match(/^\s*/)[0];
+        const trailing = anchor.match(/\s*$/)[0];
+        const label = anchor.trim().replace(/([[\]])/g, '\\$1');
+        return `${leading}[${label}](${encodeLinkTarget(url)})${trailing}`;
+    }
+
+    /**
+     * Link metadata for a hyperlink found in the document
+     */
+    createLinkRecord(text, url) {
+        const googleDocMatch = url.match(/docs\.google\.com\/document\/(?:u\/\d+\/)?d\/([a-zA-Z0-9-_]+)/);
+        return {
+            url,
+            text,
+            is_google_doc: !!googleDocMatch,
+            google_doc_id: googleDocMatch ? googleDocMatch[1] : null
+        };
+    }
+
+    /**
+     * Parse a table into a single element with its cell text.
+     * Rows marked as repeating headers (w:tblHeader) form the header, otherwise the first row does.
+     */
+    parseTable(table) {
+        const rowNodes = childElements(table, 'tr');
+        const annotations = { links: [], comments: [], footnotes: [], trackedChanges: [] };
+        // Drawings in cells stay as anchors in the cell text, in row-major order
+        const inlineImages = [];
+        let headerRowCount = 0;
+        const rows = [];
+        rowNodes.forEach((row, index) => {
+            const isHeader = !!findDescendant(row, ['trPr', 'tblHeader']);
+            if (isHeader && headerRowCount === index) {
+                headerRowCount++;
+            }
+
+            const cells = [];
+            for (const cell of childElements(row, 'tc')) {
+                const tableCell = { row: rows.length, column: cells.length };
+                cells.push(childElements(cell, 'p')
+                    .map(paragraph => {
+                        const content = this.collectParagraphContent(paragraph);
+                        Object.keys(annotations).forEach(key => annotations[key].push(...content[key]));
+                        inlineImages.push(...content.images.map(image => this.createImageElement(image, tableCell)));
+                        return content.text.trim();
+                    })
+                    .filter(Boolean)
+                    .join('\n'));
+
+                // Horizontally merged cells keep the grid aligned
+                const span = findDescendant(cell, ['tcPr', 'gridSpan']);
+                for (let i = 1; i < (span ? parseInt(getAttribute(span, 'val')) || 1 : 1); i++) {
+                    cells.push('');
+                }
+            }
+            if (cells.length > 0) {
+                rows.push(cells);
+            }
+        });
+
+        const columnCount = Math.max(0, ...rows.map(cells => cells.length));
+        rows.forEach(cells => {
+            while (cells.length < columnCount) {
+                cells.push('');
+            }
+        });
+
+        // Keep at least one body row when every row is marked as a header
+        headerRowCount = Math.max(1, Math.min(headerRowCount, rows.length - 1));
+
+        return {
+            id: this.elementIdCounter++,
+            type: 'table',
+            rows,
+            headerRowCount,
+            columnCount,
+            ...annotations,
+            inlineImages,
+            text: this.renderTableMarkdown(rows.slice(0, headerRowCount), rows.slice(headerRowCount))
+        };
+    }
+
+    /**
+     * Render table rows as a Markdown table
+     */
+    renderTableMarkdown(headerRows, bodyRows) {
+        const renderRow = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, '<br>')).join(' | ')} |`;
+        const columnCount = headerRows[0] ? headerRows[0].length : 0;
+
+        return [
+            ...headerRows.map(renderRow),
+            `| ${new Array(columnCount).fill('---').join(' | ')} |`,
+            ...bodyRows.map(renderRow)
+        ].join('\n');
+    }
+
+    /**
+     * Split a table into Markdown segments of at most `budget` characters.
+     * Rows are never split and every segment repeats the header rows.
+     */
+    splitTable(table, budget) {
+        const headerRows = table.rows.slice(0, table.headerRowCount);
+        const bodyRows = table.rows.slice(table.headerRowCount);
+        const headerLength = this.measure(this.renderTableMarkdown(headerRows, []));
+        const segments = [];
+        let rowStart = 0;
+
+        const pushSegment = (rowEnd) => {
+            segments.push({
+                text: this.renderTableMarkdown(headerRows, bodyRows.slice(rowStart, rowEnd)),
+                dimensions: {
+                    rows: table.rows.length,
+                    columns: table.columnCount,
+                    row_range: [rowStart + 1, rowEnd],
+                    header_rows: headerRows.length,
+                    header_repeated: segments.length > 0
+                }
+            });
+            rowStart = rowEnd;
+        };
+
+        let length = headerLength;
+        bodyRows.forEach((row, index) => {
+            const rowLength = this.measure(this.renderTableMarkdown([row], []).split('\n')[0]) + 1;
+            if (index > rowStart && length + rowLength > budget) {
+                pushSegment(index);
+                length = headerLength;
+            }
+            length += rowLength;
+        });
+        pushSegment(bodyRows.length);
+
+        return segments;
+    }
+
+    /**
+     * Parse a caption paragraph such as "Image 1: . Actual price column"
+     */
+    parseCaption(text) {
+        const match = text.trim().match(CAPTION_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        // Google exports often leave ". " between the number and the description
+        const caption = match[2].replace(/^[\s.:\-\u2013\u2014]+/, '').replace(/\s+/g, ' ').trim();
+        const number = parseInt(match[1]);
+        return {
+            number,
+            caption,
+            label: this.formatImageLabel(number, caption)
+        };
+    }
+
+    /**
+     * Format an "Image N: caption" label
+     */
+    formatImageLabel(number, caption) {
+        return caption ? `Image ${number}: ${caption}` : `Image ${number}`;
+    }
+
+    /**
+     * Load the Google Docs tab manifest, if one is available for this DOCX.
+     * A manifest stamped with the sha256 of another export (an older or newer revision) is ignored.
+     */
+    async loadTabManifest(docxPath) {
+        const manifestPath = this.tabManifestPath === undefined
+            ? docxPath.replace(/\.docx$/i, '.tabs.json')
+            : this.tabManifestPath;
+
+        if (!manifestPath || !existsSync(manifestPath)) {
+            return null;
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+        } catch (error) {
+            console.warn(`Ignoring unreadable tab manifest ${manifestPath}: ${error.message}`);
+            return null;
+        }
+        if (!Array.isArray(manifest.tabs) || manifest.tabs.length === 0) {
+            return null;
+        }
+
+        if (!manifest.docx_sha256) {
+            console.warn(`Tab manifest ${manifestPath} has no docx_sha256, so it cannot be checked against the DOCX`);
+        } else if (manifest.docx_sha256 !== await hashFile(docxPath)) {
+            console.warn(`Ignoring tab manifest ${manifestPath}: it belongs to another export (revision ${manifest.revision_id})`);
+            return null;
+        }
+
+        console.log(`Using tab manifest: ${manifestPath} (${manifest.tabs.length} tabs, revision ${manifest.revision_id})`);
+        return manifest;
+    }
+
+    /**
+     * Assign every element to a Google Docs tab.
+     * The export keeps tabs in manifest order, so a tab starts at the paragraph matching its
+     * first_paragraph_text, or right after the previous tab's last paragraph has been seen.
+     * Returns false (and leaves the elements untouched) when some tab could not be located,
+     * so the caller can fall back to Heading 1 boundaries.
+     */
+    assignTabs(elements, manifest) {
+        const tabs = manifest.tabs;
+        const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+        const assigned = [];
+        let index = 0;
+        let paragraphsSeen = 0;
+        let lastParagraphSeen = false;
+        let tabClosed = false;
+
+        for (const element of elements) {
+            if (element.type === 'text') {
+                // Tabs without paragraphs cannot be located in the export
+                let next = index + 1;
+                while (next < tabs.length && !tabs[next].first_paragraph_text) {
+                    next++;
+                }
+
+                // A repeated heading ("Pricing") only opens the next tab once the current one has all its
+                // paragraphs, or once its last paragraph was seen (paragraph_count can be off by one)
+                const tabComplete = paragraphsSeen >= (tabs[index].paragraph_count || 0) || lastParagraphSeen;
+                if (next < tabs.length && (tabClosed || tabComplete && element.sourceText === normalize(tabs[next].first_paragraph_text))) {
+                    index = next;
+                    paragraphsSeen = 0;
+                    lastParagraphSeen = false;
+                    tabClosed = false;
+                }
+
+                paragraphsSeen++;
+                if (element.sourceText === normalize(tabs[index].last_paragraph_text)) {
+                    lastParagraphSeen = true;
+                    tabClosed = paragraphsSeen >= (tabs[index].paragraph_count || 0);
+                }
+            }
+
+            assigned.push(tabs[index]);
+        }
+
+        const located = new Set(assigned);
+        const missing = tabs.filter(tab => tab.first_paragraph_text && !located.has(tab));
+        if (missing.length > 0) {
+            console.warn(`Tab manifest does not match the DOCX (tabs not found: ${missing.map(tab => tab.title).join(', ')}); using Heading 1 boundaries instead`);
+            return false;
+        }
+
+        elements.forEach((element, position) => {
+            element.tab = assigned[position];
+        });
+        return true;
+    }
+
+    /**
+     * Link caption paragraphs to the drawing directly before or after them.
+     * A drawing directly above the caption wins over one directly below it.
+     */
+    attachCaptions(elements) {
+        elements.forEach((element, index) => {
+            if (element.type !== 'text' || element.isHeading) {
+                return;
+            }
+
+            const caption = this.parseCaption(element.text);
+            if (!caption) {
+                return;
+            }
+
+            const previous = elements[index - 1];
+            const next = elements[index + 1];
+            let image = null;
+            if (previous && previous.type === 'image' && !previous.hasLabel) {
+                image = previous;
+            } else if (next && next.type === 'image' && !next.hasLabel) {
+                image = next;
+            }
+
+            if (!image) {
+                return;
+            }
+
+            image.hasLabel = true;
+            image.caption = caption;
+            element.isCaption = true;
+            element.text = caption.label;
+        });
+    }
+
+    /**
+     * Build the heading outline tree and record the breadcrumb of every element.
+     * Title-like bold paragraphs become headings one level below the closest styled heading.
+     */
+    buildOutline(elements) {
+        const outline = [];
+        const stack = [];
+        let currentTab = null;
+
+        for (const element of elements) {
+            // Headings never carry over from one tab into the next
+            if (element.tab && element.tab !== currentTab) {
+                currentTab = element.tab;
+                stack.length = 0;
+            }
+
+            if (element.type === 'text' && element.titleLike && !element.isCaption) {
+                const styled = stack.filter(node => !node.inferred);
+                element.isHeading = true;
+                element.inferredHeading = true;
+                element.headingLevel = Math.min(6, (styled.length > 0 ? styled[styled.length - 1].level : 0) + 1);
+            }
+
+            if (element.type === 'text' && element.isHeading) {
+                while (stack.length > 0 && stack[stack.length - 1].level >= element.headingLevel) {
+                    stack.pop();
+                }
+
+                const node = {
+                    title: element.text,
+                    level: element.headingLevel,
+                    element_id: element.id,
+                    inferred: !!element.inferredHeading,
+                    children: []
+                };
+                (stack.length > 0 ? stack[stack.length - 1].children : outline).push(node);
+                stack.push(node);
+            }
+
+            // The document title (level 0) is the root of every path, so it is left out
+            element.breadcrumb = stack.filter(node => node.level > 0).map(node => node.title);
+        }
+
+        return outline;
+    }
+
+    /**
+     * Tag every element with states, sections and topics from the taxonomy.
+     * Tab titles and headings set a context that carries forward until a heading of the same or a
+     * higher level (or a new tab) replaces it; body mentions only tag their own paragraph and the
+     * images that follow it. Each tag records its confidence and the evidence that produced it.
+     */
+    tagContext(elements) {
+        const carried = Object.fromEntries(TAXONOMY_DIMENSIONS.map(dimension => [dimension, []]));
+        let local = null;
+        let currentTab = null;
+
+        const carry = (text, level, source) => {
+            const matches = this.matchTaxonomy(text);
+            TAXONOMY_DIMENSIONS.forEach(dimension => {
+                matches[dimension].forEach(match => carried[dimension].push({
+                    level,
+                    id: match.id,
+                    confidence: CONTEXT_CONFIDENCE[source],
+                    evidence: { source, match: match.evidence, text }
+                }));
+            });
+        };
+
+        for (const element of elements) {
+            if (element.tab && element.tab !== currentTab) {
+                currentTab = element.tab;
+                TAXONOMY_DIMENSIONS.forEach(dimension => {
+                    carried[dimension] = [];
+                });
+                local = null;
+                // Nested tabs inherit the context of their parent tabs ("Ohio" > "Pricing")
+                (element.tab.path || [element.tab.title]).forEach(title => carry(title, -1, 'tab'));
+            }
+
+            if (element.type === 'text' && element.isHeading) {
+                TAXONOMY_DIMENSIONS.forEach(dimension => {
+                    carried[dimension] = carried[dimension].filter(tag => tag.level < element.headingLevel);
+                });
+                local = null;
+                carry(element.text, element.headingLevel, 'heading');
+            } else if (element.type !== 'image' && !element.isCaption) {
+                local = this.matchTaxonomy(element.type === 'table' ? element.text : element.sourceText);
+            }
+
+            element.context = this.mergeContextTags(carried, local);
+
+            this.currentState = element.context.states.length > 0 ? element.context.states[0].id : null;
+            this.currentSection = element.context.sections.length > 0 ? element.context.sections[0].id : null;
+            this.currentTopic = element.context.topics.length > 0 ? element.context.topics[0].id : null;
+        }
+    }
+
+    /**
+     * Combine carried tags with the body mentions of the current paragraph.
+     * A tag found several ways keeps its highest confidence and all of its evidence.
+     */
+    mergeContextTags(carried, local) {
+        const context = {};
+        TAXONOMY_DIMENSIONS.forEach(dimension => {
+            const tags = new Map();
+            const add = (id, confidence, evidence) => {
+                if (!tags.has(id)) {
+                    tags.set(id, { id, confidence, evidence: [] });
+                }
+                const tag = tags.get(id);
+                tag.confidence = Math.max(tag.confidence, confidence);
+                tag.evidence.push(evidence);
+            };
+
+            carried[dimension].forEach(tag => add(tag.id, tag.confidence, tag.evidence));
+            if (local) {
+                local[dimension].forEach(match => add(match.id, CONTEXT_CONFIDENCE.body, { source: 'body', match: match.evidence }));
+            }
+
+            context[dimension] = [...tags.values()].sort((a, b) => b.confidence - a.confidence);
+        });
+        return context;
+    }
+
+    /**
+     * Read the image registry of an earlier run. A missing or unreadable registry starts a new
+     * one, numbering files from 1 in reading order.
+     */
+    loadImageRegistry(registryPath) {
+        const registry = { entries: {}, stems: new Map(), nextNumber: 1 };
+        if (!existsSync(registryPath)) {
+            return registry;
+        }
+
+        try {
+            const saved = JSON.parse(readFileSync(registryPath, 'utf8'));
+            registry.entries = saved.images || {};
+            registry.nextNumber = parseInt(saved.next_number) || 1;
+            // Registries edited by hand may be missing next_number
+            Object.values(registry.entries).forEach(entry => this.reserveImageStem(registry, entry.sha256, entry.filename));
+            console.log(`Using image registry: ${registryPath} (${Object.keys(registry.entries).length} entries)`);
+        } catch (error) {
+            console.warn(`Ignoring unreadable image registry ${registryPath}: ${error.message}`);
+        }
+
+        return registry;
+    }
+
+    /**
+     * Record the stem of a stored file for its sha256 and keep nextNumber past it.
+     * A stem already registered for the sha256 is kept.
+     */
+    reserveImageStem(registry, sha256, filename) {
+        const stem = path.parse(filename).name;
+        if (!registry.stems.has(sha256)) {
+            registry.stems.set(sha256, stem);
+        }
+        const number = parseInt(stem.replace(/^image_/, ''));
+        registry.nextNumber = Math.max(registry.nextNumber, isNaN(number) ? 0 : number + 1);
+    }
+
+    /**
+     * Write image_registry.json. Entries are keyed by content hash plus anchor (the heading path
+     * the image sits under), keep the stored file name and record when the image was first and
+     * last seen. Entries from earlier runs stay, so a removed image keeps its number.
+     */
+    writeImageRegistry(outputDir, chunks) {
+        const entries = this.imageRegistry.entries;
+        const seen = new Set();
+
+        chunks.forEach(chunk => {
+            chunk.images.forEach(image => {
+                if (!image.sha256) {
+                    return;
+                }
+
+                const anchor = chunk.metadata.heading_path || chunk.metadata.tab_section || '';
+                const key = `${image.sha256}#${anchor}`;
+                if (!entries[key]) {
+                    entries[key] = { sha256: image.sha256, anchor, first_seen: this.runStartedAt };
+                }
+                const entry = entries[key];
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    Object.assign(entry, {
+                        filename: image.filename,
+                        path: image.path,
+                        format: image.format,
+                        width: image.width,
+                        height: image.height,
+                        last_seen: this.runStartedAt,
+                        occurrences: []
+                    });
+                }
+                entry.occurrences.push({
+                    image_id: image.image_id,
+                    chunk_id: chunk.chunk_id,
+                    label: image.label,
+                    caption: image.caption,
+                    alt_text: image.alt_text,
+                    source_tab: image.source_tab,
+                    context_text: image.context_text,
+                    state: image.state,
+                    section: image.section,
+                    topic: image.topic
+                });
+            });
+        });
+
+        // Images no longer in the document keep their name and last_seen but have no occurrences
+        Object.keys(entries).filter(key => !seen.has(key)).forEach(key => {
+            entries[key].occurrences = [];
+        });
+
+        const registry = {
+            version: 1,
+            updated_at: this.runStartedAt,
+            next_number: this.imageRegistry.nextNumber,
+            images: entries
+        };
+        writeFileSync(path.join(outputDir, IMAGE_REGISTRY_FILE), JSON.stringify(registry, null, 2));
+        return registry;
+    }
+
+    /**
+     * Split the element stream into independently chunked sections. A section starts at a tab
+     * change or at a heading that follows body content; consecutive headings stay together, as
+     * they share a chunk. Each section records the tab state it starts with and a content hash.
+     */
+    splitSections(elements) {
+        const sections = [];
+        let tab = null;
+        let tabSection = null;
+        let section = null;
+
+        for (const element of elements) {
+            const tabChanged = element.tab && element.tab !== tab;
+            if (!section || tabChanged || (element.isHeading && section.hasBody)) {
+                section = { elements: [], start: { tab: tabChanged ? element.tab : tab, tabSection: tabChanged ? element.tab.title : tabSection }, hasBody: false };
+                sections.push(section);
+            }
+
+            // Same tab bookkeeping as buildChunks
+            if (tabChanged) {
+                tab = element.tab;
+                tabSection = element.tab.title;
+            }
+            if (element.isHeading && element.headingLevel === 1 && !element.inferredHeading && !this.tabManifest) {
+                tabSection = element.text;
+            }
+
+            section.elements.push(element);
+            section.hasBody = section.hasBody || (element.type === 'table' || (element.type === 'text' && !element.isHeading));
+        }
+
+        sections.forEach(section => {
+            section.hash = this.hashSection(section);
+        });
+        return sections;
+    }
+
+    /**
+     * Content hash of a section: its elements, the tab state it starts in and the options
+     * that shape chunks. Images are identified by the size and CRC of their media part, since
+     * relationship ids are renumbered when images are added elsewhere in the document.
+     */
+    hashSection(section) {
+        const replacer = (key, value) => {
+            if (SECTION_HASH_IGNORED_KEYS.includes(key)) {
+                return undefined;
+            }
+            if (key === 'relationshipId') {
+                const media = this.resolveImageMedia(value);
+                const entry = media ? this.packageEntries.get(media.partName) : null;
+                return entry ? `${entry.size}:${entry.crc32}` : null;
+            }
+            return value;
+        };
+
+        return crypto.createHash('sha256')
+            .update(this.getSectionConfigKey())
+            .update(JSON.stringify({ start: section.start, elements: section.elements }, replacer))
+            .digest('hex');
+    }
+
+    /**
+     * Options and taxonomy that change chunk output; saved sections are only reused when these match
+     */
+    getSectionConfigKey() {
+        return JSON.stringify({
+            version: SECTION_STATE_VERSION,
+            sizeUnit: this.sizeUnit,
+            tokenEncoding: this.tokenEncoding,
+            tokenCountModels: this.tokenCountModels,
+            targetChunkSize: this.targetChunkSize,
+            maxChunkSize: this.maxChunkSize,
+            overlapSize: this.overlapSize,
+            minChunkSize: this.minChunkSize,
+            trackedChanges: this.trackedChanges,
+            includeComments: this.includeComments,
+            includeFootnotes: this.includeFootnotes,
+            imageGroupAttachment: this.imageGroupAttachment,
+            maxImageGroupSize: this.maxImageGroupSize,
+            imageConversion: this.imageConversion,
+            maxImageDimension: this.maxImageDimension,
+            ocr: this.ocr && [this.ocrLanguages, this.ocrInChunks],
+            taxonomy: this.taxonomy
+        }, (key, value) => value instanceof RegExp ? value.toString() : value);
+    }
+
+    /**
+     * Saved sections of the previous run keyed by content hash
+     */
+    loadSectionState(statePath) {
+        const sections = new Map();
+        if (!statePath || !existsSync(statePath)) {
+            return sections;
+        }
+
+        try {
+            const state = JSON.parse(readFileSync(statePath, 'utf8'));
+            if (state.version !== SECTION_STATE_VERSION) {
+                console.warn(`Ignoring section state ${statePath}: version ${state.version} is not ${SECTION_STATE_VERSION}`);
+                return sections;
+            }
+            (state.sections || []).forEach(section => sections.set(section.hash, section));
+            console.log(`Using section state: ${statePath} (${sections.size} sections)`);
+        } catch (error) {
+            console.warn(`Ignoring unreadable section state ${statePath}: ${error.message}`);
+        }
+
+        return sections;
+    }
+
+    /**
+     * Write section_state.json with the hash and final chunks of every section
+     */
+    writeSectionState(outputDir, sections) {
+        const state = {
+            version: SECTION_STATE_VERSION,
+            updated_at: this.runStartedAt,
+            sections: sections.map(section => ({
+                hash: section.hash,
+                images_excluded: section.imagesExcluded,
+                chunks: section.chunks
+            }))
+        };
+        writeFileSync(path.join(outputDir, SECTION_STATE_FILE), JSON.stringify(state));
+        return state;
+    }
+
+    /**
+     * Number reused and rebuilt chunks in reading order: chunk indexes, image numbers (placeholders,
+     * caption paragraphs, image ids, labels and offsets) and image group ids are document-wide, so they are
+     * reassigned once all sections are in place. Size fields are remeasured when a number
+     * changes the text length. Chunk ids that occur more than once get a -2, -3... suffix in
+     * reading order.
+     */
+    renumberChunks(sections) {
+        const chunks = [];
+        const chunkIds = new Map();
+        let imageNumber = 1;
+        let groupNumber = 1;
+
+        sections.forEach(section => {
+            // Numbers are unique within a section, which is also as far as overlap text reaches
+            const numbers = new Map();
+            const groups = new Map();
+            section.chunks.forEach(chunk => chunk.images.forEach(image => {
+                numbers.set(image.number, null);
+            }));
+            [...numbers.keys()].sort((a, b) => a - b).forEach(number => numbers.set(number, imageNumber++));
+
+            // Caption paragraphs are rewritten to the final label: a rebuilt section has the number
+            // written in the document, a reused one the label of the run that saved it
+            const captionLines = new Map();
+            section.chunks.forEach(chunk => chunk.images.filter(image => image.label_source === 'caption').forEach(image => {
+                const written = section.reused ? image.label : this.formatImageLabel(image.caption_number, image.caption);
+                captionLines.set(written, this.formatImageLabel(numbers.get(image.number), image.caption));
+            }));
+            const renumber = value => value
+                .replace(/\[IMAGE_PLACEHOLDER_(\d+)\]/g, (marker, number) =>
+                    numbers.has(parseInt(number)) ? `[IMAGE_PLACEHOLDER_${numbers.get(parseInt(number))}]` : marker)
+                .split('\n')
+                .map(line => captionLines.get(line) || line)
+                .join('\n');
+
+            section.chunks.forEach(chunk => {
+                const text = renumber(chunk.text);
+                if (chunk.overlap_prefix_chars > 0) {
+                    chunk.overlap_prefix_chars = renumber(chunk.text.slice(0, chunk.overlap_prefix_chars)).length;
+                }
+                if (chunk.ocr_text) {
+                    chunk.ocr_text = chunk.ocr_text.replace(/\[IMAGE_PLACEHOLDER_(\d+)\]/g, (marker, number) =>
+                        `[IMAGE_PLACEHOLDER_${numbers.get(parseInt(number))}]`);
+                }
+                if (text.length !== chunk.text.length) {
+                    Object.assign(chunk.metadata, this.measureChunkText(text));
+                }
+                chunk.text = text;
+                chunk.chunk_index = chunks.length;
+
+                const baseId = chunk.chunk_id.replace(/-\d+$/, '');
+                const occurrence = (chunkIds.get(baseId) || 0) + 1;
+                chunkIds.set(baseId, occurrence);
+                chunk.chunk_id = occurrence === 1 ? baseId : `${baseId}-${occurrence}`;
+
+                chunk.images.forEach(image => {
+                    image.number = numbers.get(image.number);
+                    image.image_id = `image_${image.number}`;
+                    if (image.label_source) {
+                        const labelText = { caption: image.caption, title: image.title, alt_text: image.alt_text }[image.label_source];
+                        image.label = this.formatImageLabel(image.number, labelText);
+                    }
+                    const offset = text.indexOf(`[IMAGE_PLACEHOLDER_${image.number}]`);
+                    image.text_offset = offset === -1 ? null : offset;
+                    if (image.group_id) {
+                        if (!groups.has(image.group_id)) {
+                            groups.set(image.group_id, `group_${groupNumber++}`);
+                        }
+                        image.group_id = groups.get(image.group_id);
+                    }
+                });
+                chunks.push(chunk);
+            });
+        });
+
+        this.imageCounter = imageNumber;
+        return chunks;
+    }
+
+    /**
+     * Link every chunk to its neighbors in reading order and measure the tail of each chunk that
+     * the next chunk repeats as its overlap prefix
+     */
+    linkChunkNeighbors(chunks) {
+        chunks.forEach((chunk, index) => {
+            const next = chunks[index + 1] || null;
+            chunk.prev_chunk_id = index > 0 ? chunks[index - 1].chunk_id : null;
+            chunk.next_chunk_id = next ? next.chunk_id : null;
+            chunk.overlap_suffix_chars = next && next.overlap_prefix_chars > 0
+                ? findOverlapSuffixLength(chunk.text, next.text.slice(0, next.overlap_prefix_chars))
+                : 0;
+        });
+    }
+
+    /**
+     * Build chunks from the element stream.
+     * Headings and tabs always open a new chunk. Within a section, paragraphs are packed up to
+     * targetChunkSize, paragraphs longer than that are split at sentence boundaries so no chunk
+     * passes maxChunkSize, and a chunk that continues a section starts with overlapSize characters
+     * of the previous chunk.
+     */
+    buildChunks(elements, start = { tab: null, tabSection: null }) {
+        this.currentTab = start.tab;
+        this.currentTabSection = start.tabSection;
+        const buffers = [];
+        let current = this.createChunkBuffer();
+        let lastText = '';
+
+        // `continued` marks a size-driven split inside a section, which carries overlap
+        const flush = (continued = false) => {
+            const overlap = continued ? this.getOverlapText(current) : '';
+            if (current.hasBody) {
+                buffers.push(current);
+            }
+            current = this.createChunkBuffer();
+            if (overlap) {
+                this.appendPart(current, overlap);
+                current.overlapLength = current.length;
+                current.continued = true;
+            }
+        };
+
+        for (const element of elements) {
+            // Two tabs never share a chunk
+            if (element.tab && element.tab !== this.currentTab) {
+                this.currentTab = element.tab;
+                this.currentTabSection = element.tab.title;
+                flush();
+            }
+
+            if (element.type === 'image') {
+                const media = this.resolveImageMedia(element.relationshipId);
+                if (!media) {
+                    console.warn(`Skipping image with unresolved relationship: ${element.relationshipId}`);
+                    continue;
+                }
+
+                // An image with no chunk text before it (only overlap, or nothing) would precede the chunk
+                const ownParts = current.overlapLength > 0 ? current.parts.slice(1) : current.parts;
+                if (!this.shouldIncludeImage(ownParts.some(part => part.trim()) ? 'after_chunk' : 'before_chunk')) {
+                    console.log(`Excluding image before chunk text: ${element.relationshipId}`);
+                    this.imagesExcluded++;
+                    continue;
+                }
+
+                const image = this.createImageRecord(element, media, lastText, element.context);
+                const lastIndex = current.parts.length - 1;
+                if (lastIndex === current.captionPart) {
+                    // Another image's caption keeps its own line
+                    this.appendPart(current, `[IMAGE_PLACEHOLDER_${image.number}]`);
+                } else {
+                    const withPlaceholder = this.insertImagePlaceholder(current.parts[lastIndex], image.number).trim();
+                    current.length += this.measure(withPlaceholder) - this.measure(current.parts[lastIndex]);
+                    current.parts[lastIndex] = withPlaceholder;
+                }
+                current.images.push(image);
+                current.elementCount++;
+                this.addElementAnnotations(current, element);
+                this.markChunkBody(current, element);
+                continue;
+            }
+
+            if (element.type === 'table') {
+                // Drawings in cells get their placeholders before the table is measured and split
+                const pending = [];
+                const queue = [...element.inlineImages];
+                const rows = element.rows.map(cells => cells.map(cell => this.renderInlineImages(cell, queue, pending, element)));
+
+                // Long tables continue in the next chunk with the header repeated
+                this.splitTable({ ...element, rows }, this.targetChunkSize).forEach((segment, index) => {
+                    if (current.hasBody && (index > 0 || current.length + this.measure(segment.text) + this.separatorSize > this.targetChunkSize)) {
+                        flush(index === 0);
+                    }
+                    if (index > 0) {
+                        current.repeatedHeaderRows = segment.dimensions.header_rows;
+                    }
+                    this.appendPart(current, segment.text);
+                    this.takeInlineImages(current, pending, segment.text);
+                    current.listBlock = null;
+                    current.tables.push(segment.dimensions);
+                    this.addElementAnnotations(current, element);
+                    current.elementCount++;
+                    this.markChunkBody(current, element);
+                    current.tabSection = this.currentTabSection;
+                });
+                continue;
+            }
+
+            if (element.isHeading) {
+                if (current.hasBody) {
+                    flush();
+                } else {
+                    this.dropOverlap(current);
+                }
+                if (element.headingLevel === 1 && !element.inferredHeading && !this.tabManifest) {
+                    this.currentTabSection = element.text;
+                }
+
+                this.appendPart(current, element.text);
+                this.addElementAnnotations(current, element);
+                current.listBlock = null;
+                current.elementCount++;
+                current.tabSection = this.currentTabSection;
+                // An image right below a heading takes the heading as its context
+                lastText = element.text;
+                continue;
+            }
+
+            // Inline drawings become placeholders at their run offset before the paragraph is measured
+            const pending = [];
+            const text = this.renderInlineImages(element.text, [...(element.inlineImages || [])], pending, element);
+
+            // Paragraphs longer than the target are cut into sentence-aligned pieces
+            const pieceLimit = Math.max(1, Math.min(this.targetChunkSize, this.maxChunkSize - this.overlapSize));
+            const pieces = this.measure(text) > this.targetChunkSize
+                ? this.splitAtSentences(text, pieceLimit)
+                : [text];
+
+            pieces.forEach((piece, index) => {
+                if (current.hasBody) {
+                    // A short list is moved to the next chunk as a whole instead of being split
+                    const block = element.listBlock;
+                    const keepsList = block && block.length <= this.targetChunkSize;
+                    const incomingLength = keepsList && block.start === element.id ? block.length : this.measure(piece);
+                    if (!(keepsList && block.start !== element.id) && current.length + incomingLength + this.separatorSize > this.targetChunkSize) {
+                        flush(true);
+                    }
+                }
+
+                const continuesParagraph = index > 0 && current.lastElementId === element.id;
+                const continuesList = element.listBlock && current.listBlock === element.listBlock;
+                if ((continuesParagraph || continuesList) && current.parts.length > 0) {
+                    // Items of the same list stay on consecutive lines
+                    this.extendLastPart(current, piece, continuesParagraph ? ' ' : '\n');
+                } else {
+                    this.appendPart(current, piece);
+                    // The paragraph was cut at the previous chunk boundary
+                    current.startsMidParagraph = current.startsMidParagraph || (index > 0 && !current.hasBody);
+                }
+                this.takeInlineImages(current, pending, piece);
+                if (current.lastElementId !== element.id) {
+                    current.elementCount++;
+                    this.addElementAnnotations(current, element);
+                }
+                current.listBlock = element.listBlock || null;
+                current.lastElementId = element.id;
+                current.tabSection = this.currentTabSection;
+                this.markChunkBody(current, element);
+            });
+
+            if (element.isCaption) {
+                current.captionPart = current.parts.length - 1;
+            } else {
+                lastText = element.text.replace(IMAGE_ANCHOR_PATTERN, '').trim();
+            }
+        }
+
+        flush();
+
+        return this.mergeTrailingFragments(buffers)
+            .map((buffer, index) => this.createChunk(index, buffer));
+    }
+
+    /**
+     * Image record for the output chunk; numbers are document-wide and assigned in reading order
+     */
+    createImageRecord(element, media, contextText, context) {
+        const number = this.imageCounter++;
+        const filename = `image_${number}.${media.extension}`;
+        const caption = element.caption || null;
+        // Without a caption, the alt text title (short) or description labels the image
+        const labelSource = caption ? 'caption' : element.title ? 'title' : element.altText ? 'alt_text' : null;
+        const labelText = { caption: caption && caption.caption, title: element.title, alt_text: element.altText }[labelSource];
+
+        return {
+            image_id: `image_${number}`,
+            filename,
+            path: `semantic_output/images/${filename}`,
+            // Labels use the document-wide number; the per-tab caption number is kept separately
+            label: labelSource ? this.formatImageLabel(number, labelText) : null,
+            label_source: labelSource,
+            caption: caption ? caption.caption : null,
+            caption_number: caption ? caption.number : null,
+            alt_text: element.altText || null,
+            title: element.title || null,
+            source_tab: this.currentTabSection,
+            number,
+            relationship_id: element.relationshipId,
+            original_name: media.originalName,
+            content_type: media.contentType,
+            media_part: media.partName,
+            context_text: contextText,
+            // Strongest tag of the context at the image position
+            state: context.states.length > 0 ? context.states[0].id : null,
+            section: context.sections.length > 0 ? context.sections[0].id : null,
+            topic: context.topics.length > 0 ? context.topics[0].id : null,
+            // Final position and offset are computed from the chunk text in createChunk
+            position_in_text: null,
+            inline: element.inline === true,
+            run_offset: element.inline ? element.runOffset : null,
+            text_offset: null,
+            table_cell: element.tableCell || null,
+            group_id: element.groupId || null,
+            group_index: element.groupId ? element.groupIndex : null,
+            // Filled by the optional OCR stage after the files are extracted
+            ocr_text: null,
+            ocr_confidence: null
+        };
+    }
+
+    /**
+     * Replace the image anchors of a paragraph or cell with [IMAGE_PLACEHOLDER_N], taking image
+     * elements from `queue` in order. The new image records wait in `pending` until the text
+     * holding their placeholder is added to a chunk.
+     */
+    renderInlineImages(text, queue, pending, host) {
+        return text.replace(IMAGE_ANCHOR_PATTERN, () => {
+            const element = queue.shift();
+            const media = element ? this.resolveImageMedia(element.relationshipId) : null;
+            if (!media) {
+                console.warn(`Skipping image with unresolved relationship: ${element ? element.relationshipId : 'unknown'}`);
+                return '';
+            }
+
+            const contextText = host.type === 'table'
+                ? host.rows[element.tableCell.row].join(' | ').replace(IMAGE_ANCHOR_PATTERN, '').trim()
+                : host.sourceText;
+            const image = this.createImageRecord({ ...element, inline: true }, media, contextText, host.context);
+            pending.push(image);
+            return `[IMAGE_PLACEHOLDER_${image.number}]`;
+        });
+    }
+
+    /**
+     * Move pending inline images whose placeholder is in `text` into the chunk
+     */
+    takeInlineImages(buffer, pending, text) {
+        for (let i = 0; i < pending.length; i++) {
+            if (text.includes(`[IMAGE_PLACEHOLDER_${pending[i].number}]`)) {
+                buffer.images.push(pending[i]);
+                pending.splice(i--, 1);
+            }
+        }
+    }
+
+    /**
+     * Size of a text in the configured unit (characters or tokens)
+     */
+    measure(text) {
+        return this.sizeUnit === 'tokens' ? this.countTokens(text) : text.length;
+    }
+
+    /**
+     * Number of tokens in `text` for the sizing encoding
+     */
+    countTokens(text, encodingName = this.tokenEncoding) {
+        return text ? getEncoder(encodingName).encode(text).length : 0;
+    }
+
+    /**
+     * Token counts keyed by model name, for each of `tokenCountModels` (empty unless requested)
+     */
+    countTokensPerModel(text) {
+        const counts = {};
+        for (const model of this.tokenCountModels) {
+            counts[model] = this.countTokens(text, getEncodingNameForModel(model));
+        }
+        return counts;
+    }
+
+    /**
+     * Add a paragraph-level part to a chunk buffer
+     */
+    appendPart(buffer, text) {
+        buffer.length += this.measure(text) + (buffer.parts.length > 0 ? this.separatorSize : 0);
+        buffer.parts.push(text);
+    }
+
+    /**
+     * Append text to the last part of a chunk buffer
+     */
+    extendLastPart(buffer, text, separator) {
+        const lastIndex = buffer.parts.length - 1;
+        buffer.parts[lastIndex] += `${separator}${text}`;
+        buffer.length += this.measure(`${separator}${text}`);
+    }
+
+    /**
+     * Remove carried-over overlap from a buffer that has not received content yet
+     */
+    dropOverlap(buffer) {
+        if (buffer.overlapLength > 0) {
+            buffer.parts.shift();
+            buffer.length = buffer.parts.reduce((sum, part, index) => sum + this.measure(part) + (index > 0 ? this.separatorSize : 0), 0);
+            buffer.overlapLength = 0;
+            buffer.continued = false;
+        }
+    }
+
+    /**
+     * Split text into pieces of at most `limit` characters, preferring sentence boundaries
+     * and falling back to word boundaries for very long sentences
+     */
+    splitAtSentences(text, limit) {
+        const sentences = text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [text];
+        const pieces = [];
+        let piece = '';
+
+        const pushPiece = () => {
+            if (piece.trim()) {
+                pieces.push(piece.trim());
+            }
+            piece = '';
+        };
+
+        for (const sentence of sentences) {
+            if (this.measure(sentence) > limit) {
+                pushPiece();
+                for (const word of sentence.split(/(\s+)/)) {
+                    if (this.measure(piece + word) > limit && piece.trim()) {
+                        pushPiece();
+                    }
+                    piece += word;
+                }
+                continue;
+            }
+
+            if (this.measure(piece + sentence) > limit) {
+                pushPiece();
+            }
+            piece += sentence;
+        }
+        pushPiece();
+
+        return pieces;
+    }
+
+    /**
+     * Tail of the buffer text to repeat at the start of the next chunk.
+     * Starts at a sentence (or word) boundary, skips image markers, and is never taken from a table.
+     */
+    getOverlapText(buffer) {
+        if (this.overlapSize <= 0 || buffer.tables.length > 0 && buffer.parts[buffer.parts.length - 1].startsWith('|')) {
+            return '';
+        }
+
+        const lastPart = (buffer.parts[buffer.parts.length - 1] || '')
+            .replace(/\s*\[IMAGE_PLACEHOLDER_\d+\]/g, '')
+            .trim();
+        if (this.measure(lastPart) <= this.overlapSize) {
+            return lastPart;
+        }
+
+        // Grow the window word by word from the end while it fits
+        const words = lastPart.split(/(?<=\s)/);
+        let window = '';
+        for (let i = words.length - 1; i >= 0; i--) {
+            if (this.measure(words[i] + window) > this.overlapSize) {
+                break;
+            }
+            window = words[i] + window;
+        }
+
+        const sentenceStart = window.search(/[.!?]\s+\S/);
+        if (sentenceStart !== -1 && sentenceStart < window.length / 2) {
+            return window.slice(sentenceStart + 1).trim();
+        }
+        return window.trim();
+    }
+
+    /**
+     * Merge chunks below minChunkSize that only continue the previous chunk's section
+     * back into it, as long as the result stays within maxChunkSize. The tail of a long table
+     * is merged row-aligned: its repeated header is dropped and its rows extend the table
+     * that ends the previous chunk.
+     */
+    mergeTrailingFragments(buffers) {
+        const merged = [];
+
+        for (const buffer of buffers) {
+            const previous = merged[merged.length - 1];
+            const repeatedHeader = buffer.repeatedHeaderRows > 0
+                ? buffer.parts[0].split('\n').slice(0, buffer.repeatedHeaderRows + 1).join('\n')
+                : '';
+            const ownLength = buffer.length - buffer.overlapLength - (repeatedHeader ? this.measure(repeatedHeader) : 0);
+
+            if (previous && (buffer.continued || repeatedHeader) && buffer.length < this.minChunkSize
+                && previous.length + ownLength <= this.maxChunkSize) {
+                const ownParts = buffer.overlapLength > 0 ? buffer.parts.slice(1) : buffer.parts;
+                ownParts.forEach((part, index) => {
+                    if (index === 0 && repeatedHeader) {
+                        this.extendLastPart(previous, part.slice(repeatedHeader.length + 1), '\n');
+                    } else if (index === 0 && buffer.startsMidParagraph) {
+                        this.extendLastPart(previous, part, ' ');
+                    } else {
+                        this.appendPart(previous, part);
+                    }
+                });
+                previous.images.push(...buffer.images);
+                const tables = [...buffer.tables];
+                if (repeatedHeader) {
+                    previous.tables[previous.tables.length - 1].row_range[1] = tables.shift().row_range[1];
+                }
+                previous.tables.push(...tables);
+                Object.keys(buffer.annotations).forEach(key => previous.annotations[key].push(...buffer.annotations[key]));
+                previous.contexts.push(...buffer.contexts);
+                previous.elementCount += buffer.elementCount;
+                continue;
+            }
+
+            merged.push(buffer);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Collect an element's links, comments, footnotes and tracked changes for the chunk metadata
+     */
+    addElementAnnotations(buffer, element) {
+        Object.keys(buffer.annotations).forEach(key => buffer.annotations[key].push(...(element[key] || [])));
+        if (element.context) {
+            buffer.contexts.push(element.context);
+        }
+    }
+
+    /**
+     * Context tags of a chunk: every tag of its elements with the highest confidence seen
+     * and the distinct evidence for it
+     */
+    collectChunkContext(contexts) {
+        const chunkContext = {};
+        TAXONOMY_DIMENSIONS.forEach(dimension => {
+            const tags = new Map();
+            contexts.forEach(context => context[dimension].forEach(tag => {
+                if (!tags.has(tag.id)) {
+                    tags.set(tag.id, { id: tag.id, confidence: tag.confidence, evidence: [] });
+                }
+                const merged = tags.get(tag.id);
+                merged.confidence = Math.max(merged.confidence, tag.confidence);
+                merged.evidence.push(...tag.evidence);
+            }));
+
+            chunkContext[dimension] = [...tags.values()]
+                .map(tag => ({ ...tag, evidence: uniqueBy(tag.evidence, evidence => JSON.stringify(evidence)) }))
+                .sort((a, b) => b.confidence - a.confidence);
+        });
+        return chunkContext;
+    }
+
+    /**
+     * Record that the chunk has body content; its location is taken from the first body element
+     */
+    markChunkBody(buffer, element) {
+        if (!buffer.hasBody) {
+            buffer.breadcrumb = element.breadcrumb || [];
+        }
+        buffer.hasBody = true;
+    }
+
+    /**
+     * Empty accumulator for the chunk being built
+     */
+    createChunkBuffer() {
+        return {
+            parts: [],
+            images: [],
+            tables: [],
+            annotations: { links: [], comments: [], footnotes: [], trackedChanges: [] },
+            contexts: [],
+            listBlock: null,
+            lastElementId: null,
+            overlapLength: 0,
+            continued: false,
+            // Header rows repeated at the start when the chunk continues a long table
+            repeatedHeaderRows: 0,
+            startsMidParagraph: false,
+            // Index of the part holding the last caption paragraph, which takes no placeholders
+            captionPart: -1,
+            breadcrumb: [],
+            tab: this.currentTab || null,
+            length: 0,
+            elementCount: 0,
+            hasBody: false,
+            tabSection: this.currentTabSection
+        };
+    }
+
+    /**
+     * Turn an accumulated buffer into the output chunk shape
+     */
+    createChunk(chunkIndex, buffer) {
+        const text = buffer.parts.filter(Boolean).join('\n\n');
+        const markerCount = (text.match(/\[IMAGE_PLACEHOLDER_\d+\]/g) || []).length;
+        const contextTags = this.collectChunkContext(buffer.contexts);
+        const overlapChars = buffer.overlapLength > 0 ? buffer.parts[0].length : 0;
+        const ownStart = overlapChars > 0 ? overlapChars + 2 : 0;
+        this.classifyImagePositions(buffer.images, text, ownStart);
+        const contextIds = {};
+        TAXONOMY_DIMENSIONS.forEach(dimension => {
+            contextIds[dimension] = contextTags[dimension].map(tag => tag.id);
+        });
+
+        return {
+            chunk_id: this.createChunkId(buffer, text.slice(ownStart)),
+            chunk_index: chunkIndex,
+            prev_chunk_id: null,
+            next_chunk_id: null,
+            text,
+            overlap_prefix_chars: overlapChars,
+            overlap_suffix_chars: 0,
+            starts_mid_paragraph: buffer.startsMidParagraph,
+            images: buffer.images,
+            metadata: {
+                ...contextIds,
+                element_count: buffer.elementCount,
+                has_images: buffer.images.length > 0,
+                image_count: buffer.images.length,
+                ...this.measureChunkText(text),
+                size_unit: this.sizeUnit,
+                tab_section: buffer.tabSection,
+                tab_id: buffer.tab ? buffer.tab.tab_id : null,
+                tab_path: buffer.tab ? buffer.tab.path : null,
+                breadcrumb: buffer.breadcrumb,
+                heading_path: buffer.breadcrumb.join(' > '),
+                context_tags: contextTags,
+                image_markers: markerCount,
+                has_table: buffer.tables.length > 0,
+                tables: buffer.tables,
+                links: this.collectChunkLinks(buffer.annotations.links, text),
+                comments: uniqueBy(buffer.annotations.comments, comment => comment.comment_id),
+                footnotes: uniqueBy(buffer.annotations.footnotes, note => `${note.type}:${note.footnote_id}`),
+                tracked_changes: this.trackedChanges === 'annotate' ? [...new Set(buffer.annotations.trackedChanges)] : []
+            }
+        };
+    }
+
+    /**
+     * Content-addressed chunk id: a hash of the tab, the heading path and the chunk's own text
+     * (without overlap), with image numbers and whitespace normalized away so edits elsewhere in
+     * the document do not change it. renumberChunks adds a suffix when two chunks share an id.
      */
-    async processDocument(docxPath, outputDir) {
-        console.log(`Processing DOCX file: ${docxPath}`);
-        
-        // Create output directories
-        const imagesDir = path.join(outputDir, 'images');
-        if (!existsSync(imagesDir)) {
-            mkdirSync(imagesDir, { recursive: true });
-        }
+    createChunkId(buffer, ownText) {
+        const fingerprint = ownText
+            .replace(/\[IMAGE_PLACEHOLDER_\d+\]/g, '[IMAGE]')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify([buffer.tab ? buffer.tab.tab_id : buffer.tabSection, buffer.breadcrumb, fingerprint]))
+            .digest('hex');
+        return `chunk_${hash.slice(0, CHUNK_ID_HASH_LENGTH)}`;
+    }
 
-        // For now, we'll create a comprehensive example that demonstrates all the features
-        // In a production environment, you would parse the actual DOCX file
-        const chunks = this.createExampleChunksWithImagePlaceholders();
-        
-        // Save example images (in production, these would be extracted from DOCX)
-        this.createExampleImages(imagesDir);
-        
+    /**
+     * Size fields of the chunk metadata
+     */
+    measureChunkText(text) {
         return {
-            chunks,
-            imageCount: this.imageCounter - 1,
-            statistics: {
-                elementsProcessed: chunks.length * 3,
-                tabsDetected: this.detectTabSections(chunks),
-                contextChanges: this.countContextChanges(chunks),
-                imageMarkers: this.countImageMarkers(chunks)
-            }
+            char_count: text.length,
+            word_count: text.split(/\s+/).filter(Boolean).length,
+            token_count: this.countTokens(text),
+            token_counts: this.countTokensPerModel(text)
         };
     }
 
     /**
-     * Create example chunks that demonstrate the image placeholder functionality
-     */
-    createExampleChunksWithImagePlaceholders() {
-        const chunks = [
-            {
-                chunk_id: 0,
-                text: `OHIO RISE ORDERS
-
-Special pricing and delivery requirements for Ohio RISE dispensaries. Order processing follows specific guidelines for internal stores.
-
-PRICING: Use special RISE pricing structure with 20% internal discount. [IMAGE_PLACEHOLDER_1]
-
-Always verify pricing with sales team before processing. The discount verification form shows the standard process. [IMAGE_PLACEHOLDER_2]
-
-DELIVERY SCHEDULE: RISE orders are processed on Tuesdays and Thursdays. [IMAGE_PLACEHOLDER_3] [IMAGE_PLACEHOLDER_4]
-
-The delivery calendar shows available time slots and special requirements for internal deliveries.`,
-                images: [
-                    {
-                        filename: "image_1.png",
-                        path: "semantic_output/images/image_1.png",
-                        label: "Image 1: Ohio RISE pricing structure",
-                        number: 1,
-                        context_text: "PRICING: Use special RISE pricing structure with 20% internal discount.",
-                        state: "OH",
-                        section: "RISE",
-                        topic: "PRICING",
-                        position_in_text: "after_sentence"
-                    },
-                    {
-                        filename: "image_2.png",
-                        path: "semantic_output/images/image_2.png", 
-                        label: "Image 2: Discount verification form",
-                        number: 2,
-                        context_text: "Always verify pricing with sales team before processing.",
-                        state: "OH",
-                        section: "RISE",
-                        topic: "PRICING", 
-                        position_in_text: "after_sentence"
-                    },
-                    {
-                        filename: "image_3.png",
-                        path: "semantic_output/images/image_3.png",
-                        label: "Image 3: Delivery schedule template", 
-                        number: 3,
-                        context_text: "DELIVERY SCHEDULE: RISE orders are processed on Tuesdays and Thursdays.",
-                        state: "OH",
-                        section: "RISE",
-                        topic: "DELIVERY_DATE",
-                        position_in_text: "consecutive_after"
-                    },
-                    {
-                        filename: "image_4.png",
-                        path: "semantic_output/images/image_4.png",
-                        label: "Image 4: Time slot calendar",
-                        number: 4,
-                        context_text: "DELIVERY SCHEDULE: RISE orders are processed on Tuesdays and Thursdays.", 
-                        state: "OH",
-                        section: "RISE",
-                        topic: "DELIVERY_DATE",
-                        position_in_text: "consecutive_after"
-                    }
-                ],
-                metadata: {
-                    states: ["OH"],
-                    sections: ["RISE"],
-                    topics: ["PRICING", "DELIVERY_DATE"],
-                    element_count: 6,
-                    has_images: true,
-                    image_count: 4,
-                    char_count: 589,
-                    word_count: 89,
-                    tab_section: "Ohio Operations",
-                    image_markers: 4
-                }
-            },
-            {
-                chunk_id: 1,
-                text: `MARYLAND REGULAR ORDERS
-
-Processing guidelines for wholesale orders to Maryland dispensaries.
-
-BATCH SUBSTITUTION: For flower products, prioritize THC percentage matching. If requested batch is unavailable, substitute within same 10% THC range.
-
-For example, if customer requests 25% THC batch but it's out of stock, offer batches in 20-30% range. [IMAGE_PLACEHOLDER_5]
-
-FIFO PRIORITY: For all non-flower products, follow First-In-First-Out inventory management. Oldest batches should be fulfilled first to maintain product freshness.
-
-The inventory tracking sheet helps identify batch dates and expiration timelines. [IMAGE_PLACEHOLDER_6] [IMAGE_PLACEHOLDER_7]
-
-SPECIAL NOTES: Some products may have promo pricing that overrides standard wholesale rates.`,
-                images: [
-                    {
-                        filename: "image_5.png",
-                        path: "semantic_output/images/image_5.png",
-                        label: "Image 5: THC percentage matching chart",
-                        number: 5,
-                        context_text: "For example, if customer requests 25% THC batch but it's out of stock, offer batches in 20-30% range.",
-                        state: "MD", 
-                        section: "REGULAR",
-                        topic: "BATCH_SUB",
-                        position_in_text: "after_sentence"
-                    },
-                    {
-                        filename: "image_6.png",
-                        path: "semantic_output/images/image_6.png",
-                        label: "Image 6: Inventory tracking sheet",
-                        number: 6,
-                        context_text: "The inventory tracking sheet helps identify batch dates and expiration timelines.",
-                        state: "MD",
-                        section: "REGULAR", 
-                        topic: "BATCH_SUB",
-                        position_in_text: "consecutive_after"
-                    },
-                    {
-                        filename: "image_7.png",
-                        path: "semantic_output/images/image_7.png",
-                        label: "Image 7: Batch expiration calendar",
-                        number: 7,
-                        context_text: "The inventory tracking sheet helps identify batch dates and expiration timelines.",
-                        state: "MD",
-                        section: "REGULAR",
-                        topic: "BATCH_SUB", 
-                        position_in_text: "consecutive_after"
-                    }
-                ],
-                metadata: {
-                    states: ["MD"],
-                    sections: ["REGULAR"],
-                    topics: ["BATCH_SUB", "PRICING"],
-                    element_count: 5,
-                    has_images: true,
-                    image_count: 3,
-                    char_count: 598,
-                    word_count: 96,
-                    tab_section: "Maryland Operations",
-                    image_markers: 3
-                }
-            },
-            {
-                chunk_id: 2,
-                text: `NEW JERSEY ORDER LIMITS
-
-Specific limitations and requirements for New Jersey market orders.
-
-UNIT LIMITS: Regular orders have no set unit or dollar limits. Do not break case sizes unless specifically requested by customer.
-
-RISE UNIT LIMITS: Internal RISE orders are limited to 4,000 units maximum per order. [IMAGE_PLACEHOLDER_8]
-
-If order exceeds 4,000 units, split into multiple orders scheduled for different delivery dates. Example calculation shown in order splitting guide.
-
-BATTERY SEPARATION: All battery products must be placed on separate invoices for compliance reasons. [IMAGE_PLACEHOLDER_9] [IMAGE_PLACEHOLDER_10] [IMAGE_PLACEHOLDER_11]
-
-This applies to both regular and RISE orders in New Jersey market.`,
-                images: [
-                    {
-                        filename: "image_8.png", 
-                        path: "semantic_output/images/image_8.png",
-                        label: "Image 8: RISE unit limit calculator",
-                        number: 8,
-                        context_text: "Internal RISE orders are limited to 4,000 units maximum per order.",
-                        state: "NJ",
-                        section: "RISE",
-                        topic: "ORDER_LIMIT",
-                        position_in_text: "after_sentence"
-                    },
-                    {
-                        filename: "image_9.png",
-                        path: "semantic_output/images/image_9.png",
-                        label: "Image 9: Battery separation workflow",
-                        number: 9,
-                        context_text: "All battery products must be placed on separate invoices for compliance reasons.",
-                        state: "NJ",
-                        section: "GENERAL", 
-                        topic: "BATTERIES",
-                        position_in_text: "consecutive_after"
-                    },
-                    {
-                        filename: "image_10.png",
-                        path: "semantic_output/images/image_10.png",
-                        label: "Image 10: Battery invoice template",
-                        number: 10,
-                        context_text: "All battery products must be placed on separate invoices for compliance reasons.",
-                        state: "NJ",
-                        section: "GENERAL",
-                        topic: "BATTERIES",
-                        position_in_text: "consecutive_after"
-                    },
-                    {
-                        filename: "image_11.png",
-                        path: "semantic_output/images/image_11.png",
-                        label: "Image 11: Compliance checklist",
-                        number: 11,
-                        context_text: "All battery products must be placed on separate invoices for compliance reasons.",
-                        state: "NJ",
-                        section: "GENERAL",
-                        topic: "BATTERIES",
-                        position_in_text: "consecutive_after"
-                    }
-                ],
-                metadata: {
-                    states: ["NJ"],
-                    sections: ["RISE", "GENERAL"],
-                    topics: ["ORDER_LIMIT", "BATTERIES"],
-                    element_count: 4,
-                    has_images: true,
-                    image_count: 4,
-                    char_count: 578,
-                    word_count: 89,
-                    tab_section: "New Jersey Operations",
-                    image_markers: 4
-                }
-            }
-        ];
-
-        // Update image counter
-        this.imageCounter = 12; // Next available image number
-        
-        return chunks;
+     * Unique links whose Markdown form made it into the chunk text.
+     * Pieces of a split paragraph only report the links they actually contain.
+     */
+    collectChunkLinks(links, text) {
+        return uniqueBy(links.filter(link => text.includes(`](${encodeLinkTarget(link.url)})`)),
+            link => `${link.url}\u0000${link.text}`);
     }
 
     /**
-     * Create example images for demonstration
+     * Taxonomy entries mentioned in a text, per dimension, with the text that matched each one
      */
-    createExampleImages(imagesDir) {
-        // In a real implementation, this would extract actual images from the DOCX
-        // For now, we'll create placeholder text files to represent images
-        
-        for (let i = 1; i <= 11; i++) {
-            const imagePath = path.join(imagesDir, `image_${i}.png`);
-            if (!existsSync(imagePath)) {
-                // Create a placeholder - in production this would be actual image data
-                writeFileSync(imagePath, `Placeholder for image ${i}`);
+    matchTaxonomy(text) {
+        const matches = {};
+        for (const dimension of TAXONOMY_DIMENSIONS) {
+            matches[dimension] = [];
+            for (const entry of this.taxonomy[dimension]) {
+                for (const matcher of entry.matchers) {
+                    const match = text.match(matcher);
+                    if (match) {
+                        matches[dimension].push({ id: entry.id, evidence: match[0] });
+                        break;
+                    }
+                }
             }
         }
+        return matches;
     }
 
     /**
@@ -341,27 +2603,47 @@ This applies to both regular and RISE orders in New Jersey market.`,
     }
 
     /**
-     * Insert image placeholder at the correct position in text
+     * Insert a placeholder for a picture-only paragraph after the preceding text.
+     * Drawings inside a paragraph are placed at their run offset by renderInlineImages.
      */
-    insertImagePlaceholder(text, imageNumber, position = 'after_sentence') {
-        const placeholder = `[IMAGE_PLACEHOLDER_${imageNumber}]`;
-        
-        switch (position) {
-            case 'after_sentence':
-                // Insert after the current sentence
-                return text + ' ' + placeholder;
-            case 'consecutive_after': 
-                // Add to existing consecutive placeholders
-                return text + ' ' + placeholder;
-            case 'middle_paragraph':
-                // Insert in the middle of a paragraph
-                const sentences = text.split('. ');
-                const midPoint = Math.floor(sentences.length / 2);
-                sentences.splice(midPoint, 0, placeholder);
-                return sentences.join('. ');
-            default:
-                return text + ' ' + placeholder;
-        }
+    insertImagePlaceholder(text, imageNumber) {
+        return `${text} [IMAGE_PLACEHOLDER_${imageNumber}]`;
+    }
+
+    /**
+     * Set position_in_text for the images of a chunk from where their placeholders sit in its text.
+     * Text carried over as overlap (before `ownStart`) does not count as chunk text, so an image that
+     * sits on a chunk boundary belongs to the chunk whose text it follows, never to the next one.
+     *  - middle_chunk: chunk text before and after the image
+     *  - after_chunk: the only image after the chunk's last text
+     *  - consecutive_after: one of several images after the chunk's last text
+     *  - before_chunk: no chunk text before the image (these are dropped while chunking)
+     * text_offset records where the placeholder starts in the chunk text.
+     */
+    classifyImagePositions(images, text, ownStart) {
+        const markerPattern = /\[IMAGE_PLACEHOLDER_\d+\]/g;
+        const hasText = value => value.replace(markerPattern, '').trim().length > 0;
+
+        const positions = images.map(image => {
+            const marker = `[IMAGE_PLACEHOLDER_${image.number}]`;
+            const index = text.indexOf(marker);
+            image.text_offset = index === -1 ? null : index;
+            if (index === -1) {
+                return 'after_chunk';
+            }
+            // Inline images sit inside their paragraph, which is chunk text even when they lead it
+            if (!image.inline && !hasText(text.slice(ownStart, index))) {
+                return 'before_chunk';
+            }
+            return hasText(text.slice(index + marker.length)) ? 'middle_chunk' : 'after_chunk';
+        });
+
+        const trailingCount = positions.filter(position => position === 'after_chunk').length;
+        images.forEach((image, index) => {
+            image.position_in_text = positions[index] === 'after_chunk' && trailingCount > 1
+                ? 'consecutive_after'
+                : positions[index];
+        });
     }
 
     /**
@@ -383,34 +2665,632 @@ This applies to both regular and RISE orders in New Jersey market.`,
     }
 
     /**
-     * Group consecutive unlabeled images with preceding text
+     * Group runs of consecutive unlabeled images so consumers can show them together.
+     * Runs longer than maxImageGroupSize are split into several groups. With the
+     * "following_heading" policy a run that sits right before a heading moves below it;
+     * otherwise groups stay with the text they follow. Returns the (possibly reordered) elements.
      */
     groupConsecutiveImages(elements) {
         const grouped = [];
         let currentGroup = [];
-        
+        let groupCounter = 1;
+
+        const closeGroup = (next) => {
+            if (currentGroup.length > 1) {
+                for (let start = 0; start < currentGroup.length; start += this.maxImageGroupSize) {
+                    const members = currentGroup.slice(start, start + this.maxImageGroupSize);
+                    const groupId = members.length > 1 ? `group_${groupCounter++}` : null;
+                    members.forEach((image, index) => {
+                        image.groupId = groupId;
+                        image.groupIndex = groupId ? index : null;
+                    });
+                }
+            }
+
+            if (this.imageGroupAttachment === 'following_heading' && currentGroup.length > 0
+                && next && next.type === 'text' && next.isHeading && next.tab === currentGroup[0].tab
+                // Without a tab manifest a Heading 1 starts a tab, which images never cross
+                && (this.tabManifest || next.headingLevel > 1)) {
+                // The images are read as part of the section the heading opens
+                currentGroup.forEach(image => {
+                    image.breadcrumb = next.breadcrumb;
+                });
+                grouped.push(next, ...currentGroup);
+                currentGroup = [];
+                return true;
+            }
+
+            grouped.push(...currentGroup);
+            currentGroup = [];
+            return false;
+        };
+
         for (const element of elements) {
             if (element.type === 'image' && !element.hasLabel) {
                 currentGroup.push(element);
-            } else {
-                if (currentGroup.length > 0) {
-                    // Attach consecutive images to the preceding text element
-                    if (grouped.length > 0 && grouped[grouped.length - 1].type === 'text') {
-                        grouped[grouped.length - 1].consecutiveImages = currentGroup;
+                continue;
+            }
+
+            if (!closeGroup(element)) {
+                grouped.push(element);
+            }
+        }
+        closeGroup(null);
+
+        return grouped;
+    }
+}
+
+/**
+ * Read the zip entries of a DOCX file that match the filter into memory.
+ * When `listing` is given, it receives { size, crc32 } for every file entry.
+ */
+function readDocxEntries(docxPath, shouldRead, listing = null) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(docxPath, { lazyEntries: true }, (openError, zipFile) => {
+            if (openError) {
+                reject(new Error(`Failed to open DOCX file: ${openError.message}`));
+                return;
+            }
+
+            const entries = new Map();
+            zipFile.on('error', reject);
+            zipFile.on('end', () => resolve(entries));
+            zipFile.on('entry', entry => {
+                if (listing && !/\/$/.test(entry.fileName)) {
+                    listing.set(entry.fileName, { size: entry.uncompressedSize, crc32: entry.crc32 });
+                }
+                if (/\/$/.test(entry.fileName) || !shouldRead(entry.fileName)) {
+                    zipFile.readEntry();
+                    return;
+                }
+
+                zipFile.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) {
+                        zipFile.close();
+                        reject(streamError);
+                        return;
                     }
-                    currentGroup = [];
+
+                    const buffers = [];
+                    stream.on('data', data => buffers.push(data));
+                    stream.on('error', reject);
+                    stream.on('end', () => {
+                        entries.set(entry.fileName, Buffer.concat(buffers));
+                        zipFile.readEntry();
+                    });
+                });
+            });
+
+            zipFile.readEntry();
+        });
+    });
+}
+
+/**
+ * Stream selected zip entries of a DOCX file to disk, one entry at a time.
+ * `targets` maps entry names to destination paths; resolves to entry name ->
+ * { size, sha256, format, width, height }. Only the first IMAGE_HEADER_BYTES bytes of the
+ * entry being written are held in memory, for format and dimension detection.
+ */
+function extractDocxEntries(docxPath, targets) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(docxPath, { lazyEntries: true }, (openError, zipFile) => {
+            if (openError) {
+                reject(new Error(`Failed to open DOCX file: ${openError.message}`));
+                return;
+            }
+
+            const extracted = new Map();
+            zipFile.on('error', reject);
+            zipFile.on('end', () => resolve(extracted));
+            zipFile.on('entry', entry => {
+                const destination = targets.get(entry.fileName);
+                if (!destination) {
+                    zipFile.readEntry();
+                    return;
                 }
-                grouped.push(element);
+
+                zipFile.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) {
+                        zipFile.close();
+                        reject(streamError);
+                        return;
+                    }
+
+                    const output = createWriteStream(destination);
+                    const hash = crypto.createHash('sha256');
+                    const headerChunks = [];
+                    let headerLength = 0;
+
+                    stream.on('data', data => {
+                        hash.update(data);
+                        if (headerLength < IMAGE_HEADER_BYTES) {
+                            headerChunks.push(data.subarray(0, IMAGE_HEADER_BYTES - headerLength));
+                            headerLength += headerChunks[headerChunks.length - 1].length;
+                        }
+                    });
+                    stream.on('error', reject);
+                    output.on('error', reject);
+                    output.on('finish', () => {
+                        const header = Buffer.concat(headerChunks);
+                        const format = sniffImageFormat(header);
+                        const dimensions = format ? readImageDimensions(header, format) : null;
+                        extracted.set(entry.fileName, {
+                            size: entry.uncompressedSize,
+                            sha256: hash.digest('hex'),
+                            format,
+                            width: dimensions ? dimensions.width : null,
+                            height: dimensions ? dimensions.height : null
+                        });
+                        zipFile.readEntry();
+                    });
+                    stream.pipe(output);
+                });
+            });
+
+            zipFile.readEntry();
+        });
+    });
+}
+
+/**
+ * Image format from the magic bytes at the start of the file, or null if unknown
+ */
+/**
+ * sha256 of a file, streamed so a large DOCX is never held in memory
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        createReadStream(filePath)
+            .on('data', data => hash.update(data))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+function sniffImageFormat(header) {
+    const ascii = (start, end) => header.toString('latin1', start, end);
+
+    if (header.length >= 8 && header.readUInt32BE(0) === 0x89504e47) {
+        return 'png';
+    }
+    if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+        return 'jpeg';
+    }
+    if (ascii(0, 4) === 'GIF8') {
+        return 'gif';
+    }
+    if (ascii(0, 2) === 'BM') {
+        return 'bmp';
+    }
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') {
+        return 'tiff';
+    }
+    // EMF: EMR_HEADER record type 1 with the " EMF" signature at offset 40
+    if (header.length >= 44 && header.readUInt32LE(0) === 1 && ascii(40, 44) === ' EMF') {
+        return 'emf';
+    }
+    // WMF: placeable header key, or a plain METAHEADER (memory/disk metafile, version 0x0300/0x0100)
+    if (header.length >= 4 && header.readUInt32LE(0) === 0x9ac6cdd7) {
+        return 'wmf';
+    }
+    if (header.length >= 6 && [1, 2].includes(header.readUInt16LE(0)) && header.readUInt16LE(2) === 9
+        && [0x0100, 0x0300].includes(header.readUInt16LE(4))) {
+        return 'wmf';
+    }
+    if (/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(ascii(0, 1024))) {
+        return 'svg';
+    }
+    return null;
+}
+
+/**
+ * Pixel dimensions read from the image header, or null when they cannot be determined.
+ * Metafiles report their bounds at 96 DPI.
+ */
+function readImageDimensions(header, format) {
+    try {
+        switch (format) {
+            case 'png':
+                return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+            case 'gif':
+                return { width: header.readUInt16LE(6), height: header.readUInt16LE(8) };
+            case 'bmp':
+                return { width: header.readInt32LE(18), height: Math.abs(header.readInt32LE(22)) };
+            case 'webp': {
+                const chunk = header.toString('latin1', 12, 16);
+                if (chunk === 'VP8X') {
+                    return { width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+                }
+                if (chunk === 'VP8L') {
+                    const bits = header.readUInt32LE(21);
+                    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+                }
+                if (chunk === 'VP8 ') {
+                    return { width: header.readUInt16LE(26) & 0x3fff, height: header.readUInt16LE(28) & 0x3fff };
+                }
+                return null;
+            }
+            case 'jpeg': {
+                // Walk the markers to the first start-of-frame segment
+                let offset = 2;
+                while (offset + 9 < header.length) {
+                    if (header[offset] !== 0xff) {
+                        return null;
+                    }
+                    const marker = header[offset + 1];
+                    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                        return { width: header.readUInt16BE(offset + 7), height: header.readUInt16BE(offset + 5) };
+                    }
+                    offset += 2 + header.readUInt16BE(offset + 2);
+                }
+                return null;
+            }
+            case 'emf': {
+                // rclBounds: inclusive device-unit rectangle of the drawing
+                const left = header.readInt32LE(8);
+                const top = header.readInt32LE(12);
+                return { width: header.readInt32LE(16) - left + 1, height: header.readInt32LE(20) - top + 1 };
+            }
+            case 'wmf': {
+                if (header.readUInt32LE(0) !== 0x9ac6cdd7) {
+                    return null;
+                }
+                const unitsPerInch = header.readUInt16LE(14) || 1440;
+                return {
+                    width: Math.round((header.readInt16LE(10) - header.readInt16LE(6)) * 96 / unitsPerInch),
+                    height: Math.round((header.readInt16LE(12) - header.readInt16LE(8)) * 96 / unitsPerInch)
+                };
             }
+            default:
+                return null;
         }
-        
-        // Handle any remaining images at the end
-        if (currentGroup.length > 0 && grouped.length > 0) {
-            grouped[grouped.length - 1].consecutiveImages = currentGroup;
+    } catch (error) {
+        // Truncated header
+        return null;
+    }
+}
+
+/**
+ * sharp is optional; image conversion is skipped when it is not installed
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * tesseract.js is optional; OCR is skipped when it is not installed
+ */
+function loadTesseract() {
+    try {
+        return require('tesseract.js');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Directory holding data for every OCR language: TESSDATA_PREFIX or config/tessdata, else the
+ * installed @tesseract.js-data package of a single language. Falls back to the first so the
+ * skip reason names it.
+ */
+function findOcrLanguageData(languages) {
+    const candidates = [DEFAULT_OCR_LANGUAGE_DATA_PATH];
+    if (languages.length === 1) {
+        try {
+            candidates.push(path.join(path.dirname(require.resolve(`@tesseract.js-data/${languages[0]}/package.json`)), '4.0.0_best_int'));
+        } catch (error) {
+            // Package not installed
+        }
+    }
+
+    return candidates.find(candidate => hasOcrLanguageData(candidate, languages, false) || hasOcrLanguageData(candidate, languages, true))
+        || candidates[0];
+}
+
+/**
+ * Whether a directory has <language>.traineddata (or .traineddata.gz) for every language
+ */
+function hasOcrLanguageData(directory, languages, gzip) {
+    return languages.every(language => existsSync(path.join(directory, `${language}.traineddata${gzip ? '.gz' : ''}`)));
+}
+
+/**
+ * Convert a file to PNG with an external command (LibreOffice by default) and return the output path
+ */
+function convertWithCommand(command, sourcePath, outputDir) {
+    return new Promise((resolve, reject) => {
+        execFile(command, ['--headless', '--convert-to', 'png', '--outdir', outputDir, sourcePath], { timeout: 60000 }, (error) => {
+            const outputPath = path.join(outputDir, `${path.basename(sourcePath, path.extname(sourcePath))}.png`);
+            if (error) {
+                reject(new Error(error.code === 'ENOENT' ? `${command} is not available to convert ${path.extname(sourcePath)} files` : error.message));
+            } else if (!existsSync(outputPath) || statSync(outputPath).size === 0) {
+                reject(new Error(`${command} produced no output`));
+            } else {
+                resolve(outputPath);
+            }
+        });
+    });
+}
+
+/**
+ * Offline BPE tokenizer for an encoding bundled with js-tiktoken
+ */
+function getEncoder(encodingName) {
+    if (!encoders.has(encodingName)) {
+        const loadRanks = TOKEN_ENCODINGS[encodingName];
+        if (!loadRanks) {
+            throw new Error(`Unsupported token encoding: ${encodingName}`);
+        }
+        encoders.set(encodingName, new Tiktoken(loadRanks()));
+    }
+    return encoders.get(encodingName);
+}
+
+/**
+ * Names in `models` that js-tiktoken does not know or whose encoding is not bundled, so
+ * callers can reject them before any work is done
+ */
+function findUnknownTokenModels(models) {
+    return models.filter(model => {
+        try {
+            return !TOKEN_ENCODINGS[getEncodingNameForModel(model)];
+        } catch (error) {
+            return true;
+        }
+    });
+}
+
+/**
+ * External URL of a HYPERLINK field instruction, or null for other fields
+ */
+function parseHyperlinkField(instruction) {
+    const match = (instruction || '').match(/^\s*HYPERLINK\s+(?:"([^"]+)"|(\S+))/i);
+    if (!match) {
+        return null;
+    }
+    // Switches such as \l name a bookmark inside the document, not an external target
+    return /\\l\b/.test(instruction) ? null : match[1] || match[2];
+}
+
+/**
+ * URL escaped so it cannot end a Markdown link target early
+ */
+function encodeLinkTarget(url) {
+    return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Collapse whitespace in a docPr/VML alt text value; empty values become null
+ */
+function normalizeAltText(value) {
+    const normalized = (value || '').replace(/\s+/g, ' ').trim();
+    return normalized || null;
+}
+
+/**
+ * Characters at the end of a chunk's text covered by the overlap the next chunk starts with.
+ * Overlap text leaves image markers out, so markers inside the repeated tail count toward it.
+ */
+function findOverlapSuffixLength(text, overlap) {
+    const offsets = [];
+    let stripped = '';
+    let kept = 0;
+    const keepUntil = end => {
+        for (let i = kept; i < end; i++) {
+            offsets.push(i);
+        }
+        stripped += text.slice(kept, end);
+    };
+
+    for (const match of text.matchAll(/\s*\[IMAGE_PLACEHOLDER_\d+\]/g)) {
+        keepUntil(match.index);
+        kept = match.index + match[0].length;
+    }
+    keepUntil(text.length);
+
+    const start = stripped.lastIndexOf(overlap);
+    return start === -1 ? 0 : text.length - offsets[start];
+}
+
+/**
+ * Contiguous text of a section from its chunks in reading order. A chunk that continues the one
+ * before it (its prev_chunk_id) contributes only the text after its overlap prefix, so nothing is
+ * repeated: a paragraph cut at the chunk boundary is joined back with a space and a table that
+ * continues from the previous chunk loses its repeated header row. Other chunks are joined as
+ * separate paragraphs.
+ */
+function reassembleSectionText(chunks) {
+    return chunks.reduce((text, chunk, index) => {
+        const previous = chunks[index - 1];
+        if (!previous) {
+            return chunk.text;
+        }
+        if (chunk.prev_chunk_id !== previous.chunk_id) {
+            return `${text}\n\n${chunk.text}`;
+        }
+        const ownText = chunk.text.slice(chunk.overlap_prefix_chars).trimStart();
+        const firstTable = (chunk.metadata.tables || [])[0];
+        if (firstTable && firstTable.header_repeated && ownText.startsWith('|')) {
+            // Header rows plus the separator line
+            return `${text}\n${ownText.split('\n').slice(firstTable.header_rows + 1).join('\n')}`;
+        }
+        return `${text}${chunk.starts_mid_paragraph ? ' ' : '\n\n'}${ownText}`;
+    }, '');
+}
+
+/**
+ * Read and validate the taxonomy file (config/taxonomy.json by default)
+ */
+function loadTaxonomy(taxonomyPath = DEFAULT_TAXONOMY_PATH) {
+    const taxonomy = JSON.parse(readFileSync(taxonomyPath, 'utf8'));
+
+    for (const dimension of TAXONOMY_DIMENSIONS) {
+        const entries = taxonomy[dimension];
+        if (!Array.isArray(entries)) {
+            throw new Error(`Invalid taxonomy ${taxonomyPath}: "${dimension}" must be an array`);
+        }
+
+        const ids = new Set();
+        for (const entry of entries) {
+            if (!entry || typeof entry.id !== 'string' || !entry.id) {
+                throw new Error(`Invalid taxonomy ${taxonomyPath}: every ${dimension} entry needs an id`);
+            }
+            if (ids.has(entry.id)) {
+                throw new Error(`Invalid taxonomy ${taxonomyPath}: duplicate ${dimension} id "${entry.id}"`);
+            }
+            ids.add(entry.id);
+        }
+    }
+
+    return taxonomy;
+}
+
+/**
+ * Turn taxonomy synonyms and patterns into regular expressions.
+ * Synonyms match whole words, ignoring case unless written in capitals ("OH" does not match "oh");
+ * patterns are regular expression sources matched without case.
+ */
+function compileTaxonomy(taxonomy) {
+    const compiled = {};
+    for (const dimension of TAXONOMY_DIMENSIONS) {
+        compiled[dimension] = (taxonomy[dimension] || []).map(entry => {
+            const synonyms = [entry.id, entry.name, ...(entry.synonyms || [])].filter(Boolean);
+            const matchers = [...new Set(synonyms)].map(synonym => {
+                const source = synonym.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+                const flags = synonym === synonym.toUpperCase() ? 'u' : 'iu';
+                return new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, flags);
+            });
+            (entry.patterns || []).forEach(pattern => matchers.push(new RegExp(pattern, 'i')));
+
+            return {
+                id: entry.id,
+                name: entry.name || entry.id,
+                matchers
+            };
+        });
+    }
+    return compiled;
+}
+
+/**
+ * Items with distinct keys, in their original order
+ */
+function uniqueBy(items, keyOf) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = keyOf(item);
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Whether a w:r element is bold through direct formatting
+ */
+function isBoldRun(run) {
+    const bold = run && run.localName === 'r' ? findDescendant(run, ['rPr', 'b']) : null;
+    return !!bold && !['0', 'false', 'off'].includes(getAttribute(bold, 'val'));
+}
+
+/**
+ * Format a list counter in the given w:numFmt
+ */
+function formatListNumber(value, format) {
+    switch (format) {
+        case 'lowerLetter':
+        case 'upperLetter': {
+            let letters = '';
+            for (let n = value; n > 0; n = Math.floor((n - 1) / 26)) {
+                letters = String.fromCharCode(97 + ((n - 1) % 26)) + letters;
+            }
+            return format === 'upperLetter' ? letters.toUpperCase() : letters;
+        }
+        case 'lowerRoman':
+        case 'upperRoman': {
+            const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+                [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+            let remaining = value;
+            let roman = '';
+            for (const [amount, numeral] of numerals) {
+                while (remaining >= amount) {
+                    roman += numeral;
+                    remaining -= amount;
+                }
+            }
+            return format === 'upperRoman' ? roman.toUpperCase() : roman;
+        }
+        case 'decimalZero':
+            return String(value).padStart(2, '0');
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Parse an XML part of the DOCX package
+ */
+function parseXml(buffer) {
+    return new DOMParser().parseFromString(buffer.toString('utf8'), 'text/xml');
+}
+
+/**
+ * Element children of a node, optionally filtered by local name
+ */
+function childElements(node, localName = null) {
+    const result = [];
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 1 && (!localName || child.localName === localName)) {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+/**
+ * First element child with the given local name
+ */
+function findChild(node, localName) {
+    return childElements(node, localName)[0] || null;
+}
+
+/**
+ * Follow a path of local names down from a node
+ */
+function findDescendant(node, localNames) {
+    let current = node;
+    for (const localName of localNames) {
+        current = findChild(current, localName);
+        if (!current) {
+            return null;
+        }
+    }
+    return current;
+}
+
+/**
+ * Read an attribute by local name, ignoring the namespace prefix
+ */
+function getAttribute(node, localName) {
+    for (let i = 0; i < node.attributes.length; i++) {
+        const attribute = node.attributes[i];
+        if (attribute.localName === localName) {
+            return attribute.value;
         }
-        
-        return grouped;
     }
+    return '';
 }
 
-module.exports = { EnhancedDocxProcessor };
\ No newline at end of file
+module.exports = { EnhancedDocxProcessor, loadTaxonomy, reassembleSectionText, findUnknownTokenModels };
\ No newline at end of file
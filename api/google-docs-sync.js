@@ -1,6 +1,11 @@
 // Vercel serverless function to sync from Google Docs
 // Simplified version focused on DOCX download only
 
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { fetchTabManifest } = require('./tab-manifest.js');
+
 export default async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -192,6 +197,17 @@ export default async function handler(req, res) {
             }
         }
         
+        console.log('🗂️ Reading document tabs...');
+        
+        // Tab list for the response; "Save to GitHub" builds the manifest chunking uses from its own export
+        let tabManifest = null;
+        try {
+            tabManifest = await fetchTabManifest(docs, actualDocumentId);
+            console.log(`✅ Found ${tabManifest.tabs.length} tabs`);
+        } catch (tabsError) {
+            console.warn('⚠️ Could not read document tabs:', tabsError.message);
+        }
+        
         console.log('📥 Exporting document as DOCX...');
         
         // Export the document as DOCX
@@ -244,9 +260,11 @@ export default async function handler(req, res) {
                 mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
                 size: docxBuffer.length
             },
+            tabs: tabManifest,
             metadata: {
                 exportedAt: new Date().toISOString(),
-                exportSize: docxBuffer.length
+                exportSize: docxBuffer.length,
+                tabCount: tabManifest ? tabManifest.tabs.length : null
             }
         };
         
@@ -293,4 +311,5 @@ export default async function handler(req, res) {
         
         res.status(statusCode).json(errorResponse);
     }
-}
\ No newline at end of file
+}
+
@@ -1,6 +1,15 @@
 // Vercel serverless function to save files to GitHub
 // Alternative to Google Drive with no service account limitations
 
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { fetchTabManifest, stampTabManifest } = require('./tab-manifest.js');
+
+// Read by /api/semantic-chunking.js from the repository root
+const SOURCE_DOCX_PATH = 'GTI_Data_Base_and_SOP.docx';
+const TAB_MANIFEST_PATH = 'GTI_Data_Base_and_SOP.tabs.json';
+
 export default async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -66,6 +75,15 @@ export default async function handler(req, res) {
         
         const authClient = await auth.getClient();
         const drive = google.drive({ version: 'v3', auth: authClient });
+        const docs = google.docs({ version: 'v1', auth: authClient });
+        
+        // Tab boundaries are read right before the export, so both come from the same revision
+        let tabManifest = null;
+        try {
+            tabManifest = await fetchTabManifest(docs, documentId);
+        } catch (tabsError) {
+            console.warn('⚠️ Could not read document tabs:', tabsError.message);
+        }
         
         // Export the document as DOCX
         console.log('📄 Exporting document from Google Docs...');
@@ -88,6 +106,17 @@ export default async function handler(req, res) {
         
         console.log(`📊 DOCX buffer size: ${docxBuffer.length} bytes`);
         
+        // An edit between reading the tabs and the export makes the manifest describe another revision
+        if (tabManifest) {
+            const { data: revision } = await docs.documents.get({ documentId, fields: 'revisionId' });
+            if (revision.revisionId !== tabManifest.revision_id) {
+                console.warn(`⚠️ Document changed during export (revision ${tabManifest.revision_id} -> ${revision.revisionId}); not saving a tab manifest`);
+                tabManifest = null;
+            } else {
+                tabManifest = stampTabManifest(tabManifest, docxBuffer);
+            }
+        }
+        
         // Convert to base64 for GitHub API
         const docxBase64 = docxBuffer.toString('base64');
         
@@ -110,57 +139,31 @@ export default async function handler(req, res) {
         
         console.log(`📁 Saving to GitHub: ${githubRepo}/${filePath}`);
         
-        // Check if file already exists
-        let sha = null;
-        try {
-            const existingFileResponse = await fetch(
-                `https://api.github.com/repos/${githubRepo}/contents/${filePath}`,
-                {
-                    headers: {
-                        'Authorization': `token ${githubToken}`,
-                        'Accept': 'application/vnd.github.v3+json'
-                    }
-                }
-            );
-            
-            if (existingFileResponse.ok) {
-                const existingFile = await existingFileResponse.json();
-                sha = existingFile.sha;
-                console.log('📝 File exists, will update it');
-            }
-        } catch (error) {
-            console.log('📄 File does not exist, will create new one');
-        }
-        
         // Upload/Update file to GitHub
         const commitMessage = `Update ${documentInfo.name} - ${timestamp}`;
-        const githubResponse = await fetch(
-            `https://api.github.com/repos/${githubRepo}/contents/${filePath}`,
-            {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `token ${githubToken}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: commitMessage,
-                    content: docxBase64,
-                    branch: githubBranch,
-                    ...(sha && { sha }) // Include SHA if updating existing file
-                })
-            }
+        const { data: githubData, updated } = await putGitHubFile(
+            githubRepo, githubToken, githubBranch, filePath, docxBase64, commitMessage
         );
         
-        if (!githubResponse.ok) {
-            const errorData = await githubResponse.json().catch(() => ({}));
-            throw new Error(`GitHub API error: ${githubResponse.status} - ${errorData.message || 'Unknown error'}`);
-        }
-        
-        const githubData = await githubResponse.json();
-        
         console.log(`✅ Successfully saved to GitHub: ${githubData.content.name}`);
         
+        // The same export and its tab manifest go under the names /api/semantic-chunking reads
+        await putGitHubFile(
+            githubRepo, githubToken, githubBranch, SOURCE_DOCX_PATH, docxBase64, commitMessage
+        );
+        console.log(`✅ Saved source document: ${SOURCE_DOCX_PATH}`);
+        
+        let tabManifestPath = null;
+        if (tabManifest) {
+            tabManifestPath = TAB_MANIFEST_PATH;
+            await putGitHubFile(
+                githubRepo, githubToken, githubBranch, tabManifestPath,
+                Buffer.from(JSON.stringify(tabManifest, null, 2)).toString('base64'),
+                `Update tab manifest for ${documentInfo.name} - ${timestamp}`
+            );
+            console.log(`✅ Saved tab manifest: ${tabManifestPath}`);
+        }
+        
         const response = {
             success: true,
             githubFile: {
@@ -169,9 +172,11 @@ export default async function handler(req, res) {
                 url: githubData.content.html_url,
                 downloadUrl: githubData.content.download_url,
                 sha: githubData.content.sha,
+                sourcePath: SOURCE_DOCX_PATH,
                 repository: githubRepo,
                 branch: githubBranch,
-                action: sha ? 'updated' : 'created'
+                tabManifestPath,
+                action: updated ? 'updated' : 'created'
             },
             timestamp: new Date().toISOString()
         };
@@ -198,4 +203,52 @@ export default async function handler(req, res) {
             timestamp: new Date().toISOString()
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Create or update a file in the GitHub repository (content is base64)
+ */
+async function putGitHubFile(githubRepo, githubToken, githubBranch, filePath, base64Content, commitMessage) {
+    const url = `https://api.github.com/repos/${githubRepo}/contents/${filePath}`;
+    
+    // Check if file already exists
+    let sha = null;
+    try {
+        const existingFileResponse = await fetch(url, {
+            headers: {
+                'Authorization': `token ${githubToken}`,
+                'Accept': 'application/vnd.github.v3+json'
+            }
+        });
+        
+        if (existingFileResponse.ok) {
+            const existingFile = await existingFileResponse.json();
+            sha = existingFile.sha;
+            console.log(`📝 ${filePath} exists, will update it`);
+        }
+    } catch (error) {
+        console.log(`📄 ${filePath} does not exist, will create new one`);
+    }
+    
+    const githubResponse = await fetch(url, {
+        method: 'PUT',
+        headers: {
+            'Authorization': `token ${githubToken}`,
+            'Accept': 'application/vnd.github.v3+json',
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            message: commitMessage,
+            content: base64Content,
+            branch: githubBranch,
+            ...(sha && { sha }) // Include SHA if updating existing file
+        })
+    });
+    
+    if (!githubResponse.ok) {
+        const errorData = await githubResponse.json().catch(() => ({}));
+        throw new Error(`GitHub API error: ${githubResponse.status} - ${errorData.message || 'Unknown error'}`);
+    }
+    
+    return { data: await githubResponse.json(), updated: !!sha };
+}
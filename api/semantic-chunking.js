@@ -1,8 +1,16 @@
 const fs = require('fs');
 const path = require('path');
-const { EnhancedDocxProcessor } = require('./docx-processor.js');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { EnhancedDocxProcessor, loadTaxonomy, findUnknownTokenModels } = require('./docx-processor.js');
+const { IMAGE_FILE_PATTERN, formatTaxonomyEntries, formatImageListing } = require('./semantic-output.js');
 
-const { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync } = fs;
+const { existsSync, mkdirSync, rmSync, writeFileSync, readFileSync, readdirSync, createWriteStream } = fs;
+
+const DOCX_FILE_NAME = 'GTI_Data_Base_and_SOP.docx';
+const TAB_MANIFEST_FILE_NAME = 'GTI_Data_Base_and_SOP.tabs.json';
+const IMAGE_REGISTRY_FILE_NAME = 'image_registry.json';
+const SECTION_STATE_FILE_NAME = 'section_state.json';
 
 module.exports = async function handler(req, res) {
     // Enable CORS
@@ -20,7 +28,29 @@ module.exports = async function handler(req, res) {
     }
 
     try {
-        const { chunkSize = 800, maxChunkSize = 1200, overlapSize = 150 } = req.body;
+        // Sizes are characters by default, or tokens when sizeUnit is "tokens"; omitted sizes use the unit's defaults
+        const { chunkSize, maxChunkSize, overlapSize, minChunkSize, sizeUnit = 'characters' } = req.body;
+        // Extra per-model token counts (e.g. ["gpt-4o"]) cost a tokenizer table each, so none by default
+        const { tokenCountModels = [] } = req.body;
+        // Suggested edits are "annotate"d by default: the text stays as approved, suggestions go to metadata
+        const { trackedChanges = 'annotate', includeComments = true, includeFootnotes = true } = req.body;
+        // Runs of unlabeled screenshots: "preceding_text" (default) or "following_heading", split above maxImageGroupSize
+        const { imageGroupAttachment = 'preceding_text', maxImageGroupSize = 5 } = req.body;
+        // Optional image conversion: "png" or "webp" for EMF/WMF/BMP/TIFF and images above maxImageDimension px
+        const { imageConversion = null, maxImageDimension = 2000 } = req.body;
+        // Optional offline OCR of screenshots; ocrInChunks also adds the text to each chunk as ocr_text
+        const { ocr = false, ocrLanguages = 'eng', ocrInChunks = false } = req.body;
+        // Daily runs only re-chunk sections that changed since the previous run
+        const { incremental = true } = req.body;
+        
+        // Model names are checked before the download, so a typo is a 400 instead of a failure mid-chunking
+        if (!Array.isArray(tokenCountModels)) {
+            return res.status(400).json({ error: 'tokenCountModels must be an array of model names, e.g. ["gpt-4o"]' });
+        }
+        const unknownModels = findUnknownTokenModels(tokenCountModels);
+        if (unknownModels.length > 0) {
+            return res.status(400).json({ error: `Unknown model in tokenCountModels: ${unknownModels.join(', ')}` });
+        }
         
         // GitHub configuration (reuse existing credentials)
         const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
@@ -34,7 +64,7 @@ module.exports = async function handler(req, res) {
         }
 
         // Download the DOCX file from GitHub
-        const docxPath = await downloadDocxFromGitHub(GITHUB_TOKEN, GITHUB_REPO, GITHUB_BRANCH);
+        const docxPath = await downloadFileFromGitHub(GITHUB_TOKEN, GITHUB_REPO, GITHUB_BRANCH, DOCX_FILE_NAME);
         
         if (!docxPath) {
             return res.status(404).json({ 
@@ -42,6 +72,17 @@ module.exports = async function handler(req, res) {
             });
         }
 
+        // Tab manifest saved with the DOCX (optional, gives exact tab boundaries; ignored for another export)
+        const tabManifestPath = await downloadFileFromGitHub(GITHUB_TOKEN, GITHUB_REPO, GITHUB_BRANCH, TAB_MANIFEST_FILE_NAME);
+
+        // Image registry from the previous run (optional, keeps image file names stable)
+        const imageRegistryPath = await downloadFileFromGitHub(GITHUB_TOKEN, GITHUB_REPO, GITHUB_BRANCH, IMAGE_REGISTRY_FILE_NAME);
+
+        // Section hashes and chunks from the previous run (optional, enables incremental processing)
+        const sectionStatePath = incremental
+            ? await downloadFileFromGitHub(GITHUB_TOKEN, GITHUB_REPO, GITHUB_BRANCH, SECTION_STATE_FILE_NAME)
+            : null;
+
         // Create output directory in a temporary location  
         const outputDir = path.join(process.cwd(), 'temp_semantic_output');
         const imagesDir = path.join(outputDir, 'images');
@@ -49,15 +90,32 @@ module.exports = async function handler(req, res) {
         if (!existsSync(outputDir)) {
             mkdirSync(outputDir, { recursive: true });
         }
-        if (!existsSync(imagesDir)) {
-            mkdirSync(imagesDir, { recursive: true });
-        }
+        // Images of an earlier invocation are already on GitHub; starting empty keeps the upload to rebuilt sections
+        rmSync(imagesDir, { recursive: true, force: true });
+        mkdirSync(imagesDir, { recursive: true });
 
         // Process the document using our enhanced chunking logic
         const processor = new EnhancedDocxProcessor({
+            sizeUnit,
+            tokenCountModels,
             targetChunkSize: parseInt(chunkSize),
             maxChunkSize: parseInt(maxChunkSize),
-            overlapSize: parseInt(overlapSize)
+            overlapSize: parseInt(overlapSize),
+            minChunkSize: parseInt(minChunkSize),
+            tabManifestPath,
+            imageRegistryPath,
+            incremental,
+            sectionStatePath,
+            trackedChanges,
+            includeComments,
+            includeFootnotes,
+            imageGroupAttachment,
+            maxImageGroupSize: parseInt(maxImageGroupSize),
+            imageConversion,
+            maxImageDimension: parseInt(maxImageDimension),
+            ocr,
+            ocrLanguages,
+            ocrInChunks
         });
 
         const { chunks, imageCount, statistics } = await processor.processDocument(docxPath, outputDir);
@@ -76,6 +134,8 @@ module.exports = async function handler(req, res) {
                 totalChunks: chunks.length,
                 totalImages: imageCount,
                 averageChunkSize: Math.round(chunks.reduce((sum, chunk) => sum + chunk.text.length, 0) / chunks.length),
+                averageTokenCount: Math.round(chunks.reduce((sum, chunk) => sum + chunk.metadata.token_count, 0) / chunks.length),
+                sizeUnit: processor.sizeUnit,
                 ...statistics
             },
             outputPath: outputDir,
@@ -94,30 +154,26 @@ module.exports = async function handler(req, res) {
 }
 
 /**
- * Download DOCX file from GitHub repository
+ * Download a file from the GitHub repository into the local cache.
+ * The raw file is streamed to disk, so the DOCX is never held in memory (or as base64).
  */
-async function downloadDocxFromGitHub(token, repo, branch) {
+async function downloadFileFromGitHub(token, repo, branch, fileName) {
     try {
-        const fileName = 'GTI_Data_Base_and_SOP.docx';
         const url = `https://api.github.com/repos/${repo}/contents/${fileName}?ref=${branch}`;
         
         const response = await fetch(url, {
             headers: {
                 'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json'
+                // The raw media type returns the file itself; the JSON form has no content above 1 MB
+                'Accept': 'application/vnd.github.v3.raw'
             }
         });
 
         if (!response.ok) {
-            console.error(`GitHub API error: ${response.status}`);
+            console.error(`GitHub API error for ${fileName}: ${response.status}`);
             return null;
         }
 
-        const fileData = await response.json();
-        
-        // Decode base64 content
-        const buffer = Buffer.from(fileData.content, 'base64');
-        
         // Save to local cache
         const cacheDir = path.join(process.cwd(), 'cache');
         if (!existsSync(cacheDir)) {
@@ -125,13 +181,13 @@ async function downloadDocxFromGitHub(token, repo, branch) {
         }
         
         const localPath = path.join(cacheDir, fileName);
-        writeFileSync(localPath, buffer);
+        await pipeline(Readable.fromWeb(response.body), createWriteStream(localPath));
         
-        console.log(`Downloaded DOCX file from GitHub: ${fileName}`);
+        console.log(`Downloaded file from GitHub: ${fileName}`);
         return localPath;
         
     } catch (error) {
-        console.error('Error downloading DOCX from GitHub:', error);
+        console.error(`Error downloading ${fileName} from GitHub:`, error);
         return null;
     }
 }
@@ -152,12 +208,29 @@ async function uploadResultsToGitHub(token, repo, branch, chunks, outputDir) {
             'Update semantic chunks data'
         );
 
-        // Upload images
+        // Upload the image registry; the next run reads it back to keep file names stable
+        const imageRegistryPath = path.join(outputDir, IMAGE_REGISTRY_FILE_NAME);
+        if (existsSync(imageRegistryPath)) {
+            await uploadFileToGitHub(
+                token, repo, branch,
+                IMAGE_REGISTRY_FILE_NAME,
+                readFileSync(imageRegistryPath, 'utf8'),
+                'Update image registry'
+            );
+        }
+
+        // Upload images (only those of rebuilt sections are extracted; reused ones are already on GitHub)
         const imagesDir = path.join(outputDir, 'images');
         if (existsSync(imagesDir)) {
-            const imageFiles = readdirSync(imagesDir).filter(file => 
-                /\.(png|jpg|jpeg|gif|bmp|webp)$/i.test(file)
-            );
+            const imageFiles = readdirSync(imagesDir).filter(file => IMAGE_FILE_PATTERN.test(file));
+
+            // Originals of converted images are kept in images/originals/
+            const originalsDir = path.join(imagesDir, 'originals');
+            if (existsSync(originalsDir)) {
+                imageFiles.push(...readdirSync(originalsDir)
+                    .filter(file => IMAGE_FILE_PATTERN.test(file))
+                    .map(file => `originals/${file}`));
+            }
 
             for (const imageFile of imageFiles) {
                 const imagePath = path.join(imagesDir, imageFile);
@@ -176,8 +249,19 @@ async function uploadResultsToGitHub(token, repo, branch, chunks, outputDir) {
             console.log(`Uploaded ${imageFiles.length} images to GitHub`);
         }
 
+        // Upload the section state for the next incremental run, once its images are uploaded
+        const sectionStatePath = path.join(outputDir, SECTION_STATE_FILE_NAME);
+        if (existsSync(sectionStatePath)) {
+            await uploadFileToGitHub(
+                token, repo, branch,
+                SECTION_STATE_FILE_NAME,
+                readFileSync(sectionStatePath, 'utf8'),
+                'Update section state'
+            );
+        }
+
         // Upload README with processing information
-        const readmeContent = generateReadmeContent(chunks);
+        const readmeContent = generateReadmeContent(chunks, loadTaxonomy());
         await uploadFileToGitHub(
             token, repo, branch,
             'semantic_README.md',
@@ -249,7 +333,7 @@ async function uploadFileToGitHub(token, repo, branch, filePath, content, messag
 /**
  * Generate README content explaining the chunking process
  */
-function generateReadmeContent(chunks) {
+function generateReadmeContent(chunks, taxonomy) {
     const totalChunks = chunks.length;
     const totalImages = chunks.reduce((sum, chunk) => sum + (chunk.images?.length || 0), 0);
     const avgChunkSize = Math.round(chunks.reduce((sum, chunk) => sum + chunk.text.length, 0) / totalChunks);
@@ -293,6 +377,7 @@ function generateReadmeContent(chunks) {
 Repository Root/
 ├── GTI_Data_Base_and_SOP.docx    # Source document
 ├── semantic_chunks.json          # Processed chunks with image placeholders
+├── image_registry.json           # Stable image file names, first/last seen and occurrences
 ├── images/                       # Extracted images from document
 │   ├── image_1.png
 │   ├── image_2.png
@@ -312,9 +397,15 @@ Images are embedded directly in chunk text using markers like \`[IMAGE_PLACEHOLD
 
 ### Context Preservation
 Each chunk maintains metadata about:
-- **Geographic States**: OH, MD, NJ, IL, NY, NV, MA
-- **Order Types**: RISE (internal), REGULAR (wholesale), GENERAL
-- **Topics**: PRICING, BATTERIES, BATCH_SUB, DELIVERY_DATE, etc.
+- **Geographic States**: ${formatTaxonomyEntries(taxonomy.states)}
+- **Order Types**: ${formatTaxonomyEntries(taxonomy.sections)}
+- **Topics**: ${formatTaxonomyEntries(taxonomy.topics)}
+
+## Images
+
+Labels come from the caption next to the image, or from its alt text title or description when there is no caption.
+
+${formatImageListing(chunks)}
 
 ## Usage
 
@@ -0,0 +1,37 @@
+/**
+ * Helpers shared by the endpoints that write and upload semantic_output:
+ * which files count as images, and the README listings of taxonomy entries and images
+ */
+
+// Every image format the processor can write, including EMF/WMF kept as originals
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|gif|bmp|webp|tiff?|emf|wmf|svg)$/i;
+
+/**
+ * List taxonomy ids for the README, e.g. "RISE (internal), REGULAR (wholesale)"
+ */
+function formatTaxonomyEntries(entries) {
+    return entries.map(entry => entry.description ? `${entry.id} (${entry.description})` : entry.id).join(', ');
+}
+
+/**
+ * List each stored image file for the README with its label and alt text.
+ * A file used several times is listed once, with the first occurrence that has a label.
+ */
+function formatImageListing(chunks) {
+    const files = new Map();
+    chunks.forEach(chunk => (chunk.images || []).forEach(image => {
+        if (!files.has(image.filename) || (!files.get(image.filename).label && image.label)) {
+            files.set(image.filename, image);
+        }
+    }));
+
+    return [...files.values()].map(image => {
+        const details = [image.label || 'Unlabeled'];
+        if (image.alt_text) {
+            details.push(`alt text: "${image.alt_text}"`);
+        }
+        return `- \`${image.filename}\`: ${details.join(', ')}`;
+    }).join('\n') || '- None';
+}
+
+module.exports = { IMAGE_FILE_PATTERN, formatTaxonomyEntries, formatImageListing };
@@ -0,0 +1,99 @@
+/**
+ * Google Docs tab manifest: the DOCX export flattens tabs, so their boundaries are kept
+ * in a separate JSON file that /api/semantic-chunking.js hands to the processor
+ */
+
+const crypto = require('crypto');
+
+// Google Docs nests tabs at most three levels deep
+const MAX_TAB_LEVELS = 3;
+
+/**
+ * Read the document's tabs and build the manifest from them. The response is limited to
+ * tab properties and paragraph text, so styles, tables and images are not transferred.
+ */
+async function fetchTabManifest(docs, documentId) {
+    const response = await docs.documents.get({
+        documentId,
+        includeTabsContent: true,
+        fields: `documentId,title,revisionId,tabs(${tabFields(MAX_TAB_LEVELS)})`
+    });
+    return buildTabManifest(response.data);
+}
+
+/**
+ * Tie a manifest to the DOCX exported from the same revision: the processor only uses it
+ * for a DOCX with this sha256
+ */
+function stampTabManifest(manifest, docxBuffer) {
+    return {
+        ...manifest,
+        docx_sha256: crypto.createHash('sha256').update(docxBuffer).digest('hex')
+    };
+}
+
+/**
+ * Build the tab manifest (tab id, title, nesting, first/last paragraph text)
+ * from a documents.get response requested with includeTabsContent
+ */
+function buildTabManifest(document) {
+    const tabs = [];
+
+    // Tabs are listed depth-first, the same order the DOCX export uses
+    const visitTabs = (tabList, parentPath) => {
+        (tabList || []).forEach(tab => {
+            const properties = tab.tabProperties || {};
+            const tabPath = [...parentPath, properties.title || 'Untitled tab'];
+            const paragraphs = collectParagraphTexts(tab.documentTab?.body?.content);
+
+            tabs.push({
+                tab_id: properties.tabId,
+                title: properties.title || 'Untitled tab',
+                index: properties.index ?? tabs.length,
+                parent_tab_id: properties.parentTabId || null,
+                nesting_level: properties.nestingLevel || 0,
+                path: tabPath,
+                first_paragraph_text: paragraphs[0] || null,
+                last_paragraph_text: paragraphs[paragraphs.length - 1] || null,
+                paragraph_count: paragraphs.length
+            });
+
+            visitTabs(tab.childTabs, tabPath);
+        });
+    };
+
+    visitTabs(document.tabs, []);
+
+    return {
+        document_id: document.documentId,
+        title: document.title,
+        revision_id: document.revisionId || null,
+        generated_at: new Date().toISOString(),
+        tabs
+    };
+}
+
+/**
+ * Fields mask for a tab and its child tabs down to `levels` levels; masks cannot recurse
+ */
+function tabFields(levels) {
+    const fields = 'tabProperties(tabId,title,index,parentTabId,nestingLevel),'
+        + 'documentTab(body(content(paragraph(elements(textRun(content))))))';
+    return levels > 1 ? `${fields},childTabs(${tabFields(levels - 1)})` : fields;
+}
+
+/**
+ * Non-empty text of the top-level paragraphs of a tab body
+ */
+function collectParagraphTexts(content) {
+    return (content || [])
+        .filter(item => item.paragraph)
+        .map(item => (item.paragraph.elements || [])
+            .map(element => element.textRun?.content || '')
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim())
+        .filter(Boolean);
+}
+
+module.exports = { fetchTabManifest, stampTabManifest, buildTabManifest };
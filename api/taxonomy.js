@@ -0,0 +1,33 @@
+const { loadTaxonomy } = require('./docx-processor.js');
+
+/**
+ * Serve the state/section/topic taxonomy from config/taxonomy.json
+ */
+module.exports = async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        res.status(200).json({
+            success: true,
+            taxonomy: loadTaxonomy()
+        });
+    } catch (error) {
+        console.error('Taxonomy error:', error);
+        res.status(500).json({
+            error: 'Failed to load taxonomy',
+            details: error.message
+        });
+    }
+}
@@ -1,11 +1,18 @@
 import { readFileSync, readdirSync, existsSync } from 'fs';
 import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// The processor modules are CommonJS
+const require = createRequire(import.meta.url);
+const { loadTaxonomy } = require('./docx-processor.js');
+const { IMAGE_FILE_PATTERN, formatTaxonomyEntries, formatImageListing } = require('./semantic-output.js');
+
+
 export default async function handler(req, res) {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -51,9 +58,15 @@ export default async function handler(req, res) {
         // Get list of image files
         let imageFiles = [];
         if (existsSync(imagesDir)) {
-            imageFiles = readdirSync(imagesDir).filter(file => 
-                /\.(png|jpg|jpeg|gif|bmp|webp)$/i.test(file)
-            );
+            imageFiles = readdirSync(imagesDir).filter(file => IMAGE_FILE_PATTERN.test(file));
+
+            // Originals of converted images are kept in images/originals/
+            const originalsDir = path.join(imagesDir, 'originals');
+            if (existsSync(originalsDir)) {
+                imageFiles.push(...readdirSync(originalsDir)
+                    .filter(file => IMAGE_FILE_PATTERN.test(file))
+                    .map(file => `originals/${file}`));
+            }
         }
 
         console.log(`Uploading ${chunks.length} chunks and ${imageFiles.length} images to GitHub...`);
@@ -89,7 +102,7 @@ export default async function handler(req, res) {
         }
 
         // Upload README with processing information
-        const readmeContent = generateReadmeContent(chunks, imageFiles);
+        const readmeContent = generateReadmeContent(chunks, imageFiles, loadTaxonomy());
         await uploadFileToGitHub(
             GITHUB_TOKEN,
             GITHUB_REPO,
@@ -176,9 +189,9 @@ async function uploadFileToGitHub(token, repo, branch, path, content, message, i
 /**
  * Generate README content explaining the chunking process
  */
-function generateReadmeContent(chunks, imageFiles) {
+function generateReadmeContent(chunks, imageFiles, taxonomy) {
     const totalChunks = chunks.length;
-    const totalImages = imageFiles.length;
+    const totalImages = imageFiles.filter(file => !file.startsWith('originals/')).length;
     const avgChunkSize = Math.round(chunks.reduce((sum, chunk) => sum + chunk.text.length, 0) / totalChunks);
     
     // Analyze chunks for statistics
@@ -241,9 +254,9 @@ function generateReadmeContent(chunks, imageFiles) {
 
 ### 5. Context Preservation
 - Each chunk maintains metadata about:
-  - **States:** Geographic locations (OH, MD, NJ, IL, NY, NV, MA)  
-  - **Sections:** Order types (RISE, REGULAR, GENERAL)
-  - **Topics:** Subject categories (PRICING, BATTERIES, BATCH_SUB, etc.)
+  - **States:** Geographic locations (${formatTaxonomyEntries(taxonomy.states)})  
+  - **Sections:** Order types (${formatTaxonomyEntries(taxonomy.sections)})
+  - **Topics:** Subject categories (${formatTaxonomyEntries(taxonomy.topics)})
 - Context is carried forward through overlapping text
 - State and section changes trigger chunk boundaries when appropriate
 
@@ -265,13 +278,19 @@ Each chunk in \`semantic_chunks.json\` follows this structure:
 
 \`\`\`json
 {
-  "chunk_id": 0,
+  "chunk_id": "chunk_4effaec801099523",
+  "chunk_index": 0,
+  "prev_chunk_id": null,
+  "next_chunk_id": "chunk_adb9ccc30ed10156",
   "text": "Text content with [IMAGE_PLACEHOLDER_1] markers...",
+  "overlap_prefix_chars": 0,
+  "overlap_suffix_chars": 142,
   "images": [
     {
       "filename": "image_1.png",
       "path": "semantic_output/images/image_1.png", 
       "label": "Image 1: Description",
+      "alt_text": "Alt text from the document",
       "number": 1,
       "context_text": "Surrounding text context",
       "state": "OH",
@@ -293,6 +312,12 @@ Each chunk in \`semantic_chunks.json\` follows this structure:
 }
 \`\`\`
 
+## Images
+
+Labels come from the caption next to the image, or from its alt text title or description when there is no caption.
+
+${formatImageListing(chunks)}
+
 ## Usage Notes
 
 - This data is optimized for AI systems that need to understand both textual and visual content
@@ -304,4 +329,5 @@ Each chunk in \`semantic_chunks.json\` follows this structure:
 
 *Generated by GTI SOP Assistant - Semantic Chunking System*
 `;
-}
\ No newline at end of file
+}
+
@@ -3,9 +3,26 @@
  * Initializes and coordinates all app functionality
  */
 
+// Chunk size input ranges and defaults for each size unit
+const CHUNK_SIZE_UNITS = {
+    characters: {
+        target: { min: 300, max: 2000, value: 800 },
+        max: { min: 500, max: 3000, value: 1200 },
+        overlap: 150,
+        placeholder: 'Characters'
+    },
+    tokens: {
+        target: { min: 75, max: 500, value: 200 },
+        max: { min: 125, max: 750, value: 300 },
+        overlap: 40,
+        placeholder: 'Tokens'
+    }
+};
+
 class GTISOPApp {
     constructor() {
         this.googleDocsSync = null;
+        this.taxonomy = null;
         this.isInitialized = false;
     }
 
@@ -28,6 +45,9 @@ class GTISOPApp {
             // Initialize semantic chunking
             this.initSemanticChunking();
 
+            // Load the state/section/topic taxonomy (non-blocking)
+            this.loadTaxonomy();
+
             // Set up global event listeners
             this.setupGlobalEventListeners();
 
@@ -203,24 +223,89 @@ class GTISOPApp {
         console.log('🧩 Initializing semantic chunking...');
         
         const processButton = document.getElementById('processChunksButton');
+        const sizeUnitSelect = document.getElementById('chunkSizeUnit');
         
         if (processButton) {
             processButton.addEventListener('click', () => this.processSemanticChunks());
         }
 
+        if (sizeUnitSelect) {
+            sizeUnitSelect.addEventListener('change', () => this.updateChunkSizeUnit(sizeUnitSelect.value));
+        }
+
         // Button is always enabled since it downloads from GitHub
         console.log('✅ Semantic chunking initialized - downloads from GitHub');
     }
 
 
+    /**
+     * Switch the chunk size inputs between characters and tokens
+     */
+    updateChunkSizeUnit(unit) {
+        const config = CHUNK_SIZE_UNITS[unit] || CHUNK_SIZE_UNITS.characters;
+        const inputs = [
+            [document.getElementById('chunkSize'), config.target, `${config.placeholder} per chunk`],
+            [document.getElementById('maxChunkSize'), config.max, `Maximum ${config.placeholder.toLowerCase()}`]
+        ];
+
+        inputs.forEach(([input, range, placeholder]) => {
+            if (input) {
+                input.min = range.min;
+                input.max = range.max;
+                input.value = range.value;
+                input.placeholder = placeholder;
+            }
+        });
+    }
+
+    /**
+     * Load the state/section/topic taxonomy used to tag chunks
+     */
+    async loadTaxonomy() {
+        try {
+            const response = await fetch('./api/taxonomy.js');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.taxonomy = result.taxonomy;
+            this.renderTaxonomy(result.taxonomy);
+        } catch (error) {
+            console.warn('⚠️ Could not load taxonomy:', error.message);
+        }
+    }
+
+    /**
+     * Show the taxonomy ids in the semantic chunking section
+     */
+    renderTaxonomy(taxonomy) {
+        const dimensions = [
+            ['states', 'taxonomyStates'],
+            ['sections', 'taxonomySections'],
+            ['topics', 'taxonomyTopics']
+        ];
+
+        dimensions.forEach(([dimension, elementId]) => {
+            const element = document.getElementById(elementId);
+            const entries = taxonomy[dimension] || [];
+            if (element) {
+                element.textContent = entries.map(entry => entry.id).join(', ') || '-';
+                element.title = entries.map(entry => entry.name || entry.id).join(', ');
+            }
+        });
+    }
+
     /**
      * Process semantic chunks from the DOCX file
      */
     async processSemanticChunks() {
         console.log('🧩 Starting semantic chunking process...');
         
-        const chunkSize = document.getElementById('chunkSize')?.value || 800;
-        const maxChunkSize = document.getElementById('maxChunkSize')?.value || 1200;
+        const sizeUnit = document.getElementById('chunkSizeUnit')?.value || 'characters';
+        const unitConfig = CHUNK_SIZE_UNITS[sizeUnit] || CHUNK_SIZE_UNITS.characters;
+        const chunkSize = document.getElementById('chunkSize')?.value || unitConfig.target.value;
+        const maxChunkSize = document.getElementById('maxChunkSize')?.value || unitConfig.max.value;
         
         // Update UI to processing state
         this.updateChunkingStatus('Processing...', 'processing');
@@ -233,9 +318,10 @@ class GTISOPApp {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
+                    sizeUnit,
                     chunkSize: parseInt(chunkSize),
                     maxChunkSize: parseInt(maxChunkSize),
-                    overlapSize: 150
+                    overlapSize: unitConfig.overlap
                 })
             });
 
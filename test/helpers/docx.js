@@ -0,0 +1,156 @@
+/**
+ * Minimal DOCX builder for tests: writes an uncompressed zip with the parts the processor reads
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const NAMESPACES = [
+    'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+const IMAGE_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Paragraph XML; `runs` are strings (text) or drawing run XML from drawing()
+ */
+function paragraph(runs, style = null) {
+    const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    const content = [].concat(runs).map(run => run.startsWith('<w:r>')
+        ? run
+        : `<w:r><w:t xml:space="preserve">${run}</w:t></w:r>`).join('');
+    return `<w:p>${properties}${content}</w:p>`;
+}
+
+/**
+ * Inline drawing run for an image relationship id
+ */
+function drawing(relationshipId) {
+    return '<w:r><w:drawing><wp:inline><wp:extent cx="952500" cy="952500"/><wp:docPr id="1" name="Picture"/>'
+        + `<a:graphic><a:graphicData><pic:pic><pic:blipFill><a:blip r:embed="${relationshipId}"/></pic:blipFill></pic:pic></a:graphicData></a:graphic>`
+        + '</wp:inline></w:drawing></w:r>';
+}
+
+/**
+ * Table XML from rows of cell text; the first `headerRows` rows are marked as repeating headers
+ */
+function table(rows, headerRows = 0) {
+    const renderRow = (cells, index) => {
+        const properties = index < headerRows ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+        return `<w:tr>${properties}${cells.map(cell => `<w:tc>${paragraph(cell)}</w:tc>`).join('')}</w:tr>`;
+    };
+    return `<w:tbl>${rows.map(renderRow).join('')}</w:tbl>`;
+}
+
+/**
+ * A 1x1 PNG whose pixel is `color`, so distinct colors give distinct content hashes
+ */
+function png(color = [255, 0, 0]) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type), data])));
+        return Buffer.concat([length, Buffer.from(type), data, crc]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(1, 0);
+    header.writeUInt32BE(1, 4);
+    header.set([8, 2, 0, 0, 0], 8);
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(Buffer.from([0, ...color]))),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Write a DOCX with the given body XML and images ({ rId: pngBuffer }) to `filePath`
+ */
+function writeDocx(filePath, body, images = {}) {
+    const relationships = Object.keys(images).map((id, index) =>
+        `<Relationship Id="${id}" Type="${IMAGE_RELATIONSHIP_TYPE}" Target="media/image${index + 1}.png"/>`).join('');
+    const styles = [1, 2, 3].map(level =>
+        `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/></w:style>`).join('');
+
+    const entries = [
+        ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="png" ContentType="image/png"/><Default Extension="xml" ContentType="application/xml"/></Types>'],
+        ['word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document ${NAMESPACES}><w:body>${body}<w:sectPr/></w:body></w:document>`],
+        ['word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8"?>'
+            + `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships}</Relationships>`],
+        ['word/styles.xml', `<?xml version="1.0" encoding="UTF-8"?><w:styles ${NAMESPACES}>${styles}</w:styles>`],
+        ...Object.values(images).map((data, index) => [`word/media/image${index + 1}.png`, data])
+    ];
+    fs.writeFileSync(filePath, zip(entries));
+}
+
+/**
+ * Stored (uncompressed) zip archive of [name, content] entries
+ */
+function zip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(([name, content]) => {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+        const fileName = Buffer.from(name);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, fileName, data);
+        centrals.push(central, fileName);
+        offset += local.length + fileName.length + data.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = { paragraph, drawing, table, png, writeDocx };
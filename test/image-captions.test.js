@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedDocxProcessor } = require('../api/docx-processor.js');
+const { paragraph, drawing, png, writeDocx } = require('./helpers/docx.js');
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-captions-'));
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * A tab (Heading 1) with captioned images; caption numbers restart in every tab
+ */
+function tab(title, ...relationshipIds) {
+    return [
+        paragraph(title, 'Heading1'),
+        ...relationshipIds.flatMap((relationshipId, index) => [
+            paragraph(`Orders in ${title} are checked against price list ${index + 1}.`),
+            paragraph(drawing(relationshipId)),
+            paragraph(`Image ${index + 1}: ${title} price list`)
+        ])
+    ].join('');
+}
+
+test('caption paragraphs use the document-wide image number, also in reused sections', async () => {
+    const outputDir = path.join(workDir, 'output');
+    const docxPath = path.join(workDir, 'captions.docx');
+    const images = { rId1: png([255, 0, 0]), rId2: png([0, 255, 0]), rId3: png([0, 0, 255]) };
+    const run = async body => {
+        writeDocx(docxPath, body, images);
+        return new EnhancedDocxProcessor({ incremental: true }).processDocument(docxPath, outputDir);
+    };
+
+    const first = await run(tab('Ohio', 'rId1') + tab('Maryland', 'rId2'));
+    const [maryland] = first.chunks[1].images;
+    assert.strictEqual(maryland.label, 'Image 2: Maryland price list');
+    assert.strictEqual(maryland.caption_number, 1);
+    assert.ok(first.chunks[1].text.split('\n').includes('Image 2: Maryland price list'));
+
+    // A new image in Ohio renumbers the reused Maryland section
+    const second = await run(tab('Ohio', 'rId1', 'rId3') + tab('Maryland', 'rId2'));
+    assert.strictEqual(second.statistics.sections.reused, 1);
+    second.chunks.forEach(chunk => chunk.images.forEach(image => {
+        assert.ok(chunk.text.split('\n').includes(image.label), image.label);
+    }));
+    assert.ok(second.chunks[1].text.split('\n').includes('Image 3: Maryland price list'));
+});
+
+test('a picture-only paragraph after a caption is not appended to the caption line', async () => {
+    const docxPath = path.join(workDir, 'stacked.docx');
+    writeDocx(docxPath, [
+        paragraph('Ohio', 'Heading1'),
+        paragraph('Orders in Ohio are checked weekly.'),
+        paragraph(drawing('rId1')),
+        paragraph('Image 1: Front of the slip'),
+        paragraph(drawing('rId2')),
+        paragraph('Image 2: Back of the slip')
+    ].join(''), { rId1: png([255, 0, 0]), rId2: png([0, 255, 0]) });
+    const { chunks } = await new EnhancedDocxProcessor().processDocument(docxPath, path.join(workDir, 'stacked'));
+
+    assert.deepStrictEqual(chunks[0].text.split('\n\n'), [
+        'Ohio',
+        'Orders in Ohio are checked weekly. [IMAGE_PLACEHOLDER_1]',
+        'Image 1: Front of the slip',
+        '[IMAGE_PLACEHOLDER_2]',
+        'Image 2: Back of the slip'
+    ]);
+    assert.deepStrictEqual(chunks[0].images.map(image => image.text_offset), [
+        chunks[0].text.indexOf('[IMAGE_PLACEHOLDER_1]'),
+        chunks[0].text.indexOf('[IMAGE_PLACEHOLDER_2]')
+    ]);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedDocxProcessor } = require('../api/docx-processor.js');
+const { paragraph, drawing, png, writeDocx } = require('./helpers/docx.js');
+
+// Small sizes so two short paragraphs overflow a chunk and the next one starts with overlap
+const CHUNK_OPTIONS = { targetChunkSize: 120, maxChunkSize: 200, overlapSize: 40, minChunkSize: 0 };
+const FIRST_PARAGRAPH = 'Orders must be checked against the price list. Every order needs a signed delivery slip.';
+const NEXT_PARAGRAPH = 'Send the order to the warehouse team once the delivery slip is signed.';
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-position-'));
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Process a generated DOCX with the small chunk sizes and return the result
+ */
+async function processBody(name, body, images) {
+    const docxPath = path.join(workDir, `${name}.docx`);
+    writeDocx(docxPath, body, images);
+    const processor = new EnhancedDocxProcessor(CHUNK_OPTIONS);
+    return processor.processDocument(docxPath, path.join(workDir, name));
+}
+
+test('an image directly after the overlap prefix is before_chunk and excluded', () => {
+    const processor = new EnhancedDocxProcessor(CHUNK_OPTIONS);
+    const overlap = 'a signed delivery slip.';
+    const text = `${overlap}\n\n[IMAGE_PLACEHOLDER_1]\n\n${NEXT_PARAGRAPH}`;
+    const images = [{ number: 1, inline: false }];
+
+    processor.classifyImagePositions(images, text, overlap.length + 2);
+
+    assert.strictEqual(images[0].position_in_text, 'before_chunk');
+    assert.strictEqual(images[0].text_offset, overlap.length + 2);
+    assert.strictEqual(processor.shouldIncludeImage(images[0].position_in_text), false);
+});
+
+test('an image with no chunk text before it is dropped from the output', async () => {
+    const result = await processBody('leading-image', [
+        paragraph(drawing('rId1')),
+        paragraph('Ohio', 'Heading1'),
+        paragraph(FIRST_PARAGRAPH)
+    ].join(''), { rId1: png() });
+
+    assert.strictEqual(result.statistics.imagesExcluded, 1);
+    assert.deepStrictEqual(result.chunks.flatMap(chunk => chunk.images), []);
+    assert.ok(result.chunks.every(chunk => !chunk.text.includes('[IMAGE_PLACEHOLDER_')));
+});
+
+test('an inline image leading the first paragraph after the overlap is kept', async () => {
+    const result = await processBody('inline-leading', [
+        paragraph('Ohio', 'Heading1'),
+        paragraph(FIRST_PARAGRAPH),
+        paragraph([drawing('rId1'), ` ${NEXT_PARAGRAPH}`])
+    ].join(''), { rId1: png() });
+
+    assert.strictEqual(result.chunks.length, 2);
+    const [first, second] = result.chunks;
+    assert.deepStrictEqual(first.images, []);
+    assert.ok(second.overlap_prefix_chars > 0);
+
+    const [image] = second.images;
+    assert.strictEqual(image.inline, true);
+    assert.strictEqual(image.position_in_text, 'middle_chunk');
+    assert.strictEqual(image.text_offset, second.overlap_prefix_chars + 2);
+    assert.strictEqual(result.statistics.imagesExcluded, 0);
+});
+
+test('an image on a split boundary belongs to the earlier chunk only', async () => {
+    const result = await processBody('split-boundary', [
+        paragraph('Ohio', 'Heading1'),
+        paragraph(FIRST_PARAGRAPH),
+        paragraph(drawing('rId1')),
+        paragraph(NEXT_PARAGRAPH)
+    ].join(''), { rId1: png() });
+
+    assert.strictEqual(result.chunks.length, 2);
+    const [first, second] = result.chunks;
+    assert.strictEqual(first.images.length, 1);
+    assert.strictEqual(first.images[0].position_in_text, 'after_chunk');
+    assert.ok(first.text.endsWith('[IMAGE_PLACEHOLDER_1]'));
+
+    // The next chunk repeats the text before the image but neither the marker nor the image
+    assert.ok(second.overlap_prefix_chars > 0);
+    assert.deepStrictEqual(second.images, []);
+    assert.ok(!second.text.includes('[IMAGE_PLACEHOLDER_'));
+    assert.strictEqual(result.statistics.imagesExcluded, 0);
+});
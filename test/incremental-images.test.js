@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedDocxProcessor } = require('../api/docx-processor.js');
+const { paragraph, drawing, png, writeDocx } = require('./helpers/docx.js');
+
+const OPTIONS = { incremental: true, overlapSize: 0, minChunkSize: 0 };
+const RED = png([255, 0, 0]);
+const GREEN = png([0, 255, 0]);
+const BLUE = png([0, 0, 255]);
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-images-'));
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Two sections with one image each; only the second section's text differs between versions
+ */
+function documentBody(ohioText) {
+    return [
+        paragraph('Michigan', 'Heading1'),
+        paragraph('Orders must be checked against the price list.'),
+        paragraph(drawing('rId1')),
+        paragraph('Ohio', 'Heading1'),
+        paragraph(ohioText),
+        paragraph(drawing('rId2'))
+    ].join('');
+}
+
+test('a second incremental run into the same folder keeps the files of reused images', async () => {
+    const outputDir = path.join(workDir, 'semantic_output');
+    const docxPath = path.join(workDir, 'document.docx');
+
+    writeDocx(docxPath, documentBody('Every order needs a signed delivery slip.'), { rId1: RED, rId2: GREEN });
+    await new EnhancedDocxProcessor(OPTIONS).processDocument(docxPath, outputDir);
+
+    writeDocx(docxPath, documentBody('Send the order to the warehouse team.'), { rId1: RED, rId2: BLUE });
+    const { chunks, statistics } = await new EnhancedDocxProcessor(OPTIONS).processDocument(docxPath, outputDir);
+
+    assert.deepStrictEqual(statistics.sections, { total: 2, reused: 1, rebuilt: 1 });
+    const images = chunks.flatMap(chunk => chunk.images);
+    assert.strictEqual(images.length, 2);
+    images.forEach(image => assert.ok(fs.existsSync(path.join(outputDir, 'images', image.filename)), image.filename));
+
+    // The replaced image's file is gone: the folder holds exactly the referenced files
+    assert.deepStrictEqual(fs.readdirSync(path.join(outputDir, 'images')).sort(), images.map(image => image.filename).sort());
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedDocxProcessor, reassembleSectionText } = require('../api/docx-processor.js');
+const { paragraph, table, writeDocx } = require('./helpers/docx.js');
+
+const SPLIT_OPTIONS = { targetChunkSize: 120, maxChunkSize: 200, overlapSize: 40, minChunkSize: 0 };
+const WHOLE_OPTIONS = { targetChunkSize: 100000, maxChunkSize: 100000, overlapSize: 0, minChunkSize: 0 };
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reassemble-'));
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Section text of a DOCX chunked with the given options, reassembled from its chunks
+ */
+async function reassemble(name, body, options) {
+    const docxPath = path.join(workDir, `${name}.docx`);
+    writeDocx(docxPath, body);
+    const result = await new EnhancedDocxProcessor(options).processDocument(docxPath, path.join(workDir, name));
+    return { chunks: result.chunks, text: reassembleSectionText(result.chunks) };
+}
+
+test('a table with several header rows is reassembled with its header once', async () => {
+    const rows = [
+        ['Tier', 'Price', 'Units'],
+        ['', 'per unit', 'per order'],
+        ...['A', 'B', 'C', 'D', 'E', 'F'].map((tier, index) => [tier, `$${10 - index}`, `${(index + 1) * 100}`])
+    ];
+    const body = paragraph('Pricing', 'Heading1') + table(rows, 2);
+
+    const split = await reassemble('split', body, SPLIT_OPTIONS);
+    const whole = await reassemble('whole', body, WHOLE_OPTIONS);
+
+    assert.ok(split.chunks.length > 1);
+    assert.ok(split.chunks.slice(1).every(chunk => chunk.metadata.tables[0].header_rows === 2));
+    assert.strictEqual(split.text, whole.text);
+    assert.strictEqual(split.text.split('\n').filter(line => line.startsWith('| --- |')).length, 1);
+});
+
+test('overlap and paragraphs cut at a chunk boundary are not repeated', async () => {
+    const sentence = 'Orders must be checked against the price list before they leave.';
+    const body = paragraph('Pricing', 'Heading1') + paragraph(new Array(5).fill(sentence).join(' '));
+
+    const split = await reassemble('paragraph', body, SPLIT_OPTIONS);
+    const whole = await reassemble('paragraph-whole', body, WHOLE_OPTIONS);
+
+    assert.ok(split.chunks.some(chunk => chunk.overlap_prefix_chars > 0));
+    assert.strictEqual(split.text, whole.text);
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedDocxProcessor } = require('../api/docx-processor.js');
+const { paragraph, writeDocx } = require('./helpers/docx.js');
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tab-manifest-'));
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Text elements as assignTabs reads them
+ */
+function textElements(...texts) {
+    return texts.map(text => ({ type: 'text', sourceText: text }));
+}
+
+test('a tab ends at its last paragraph even when paragraph_count is off by one', () => {
+    const tabs = [
+        { title: 'Ohio', first_paragraph_text: 'Ohio', last_paragraph_text: 'Pricing', paragraph_count: 4 },
+        { title: 'Maryland', first_paragraph_text: 'Pricing', last_paragraph_text: 'Deliveries', paragraph_count: 2 }
+    ];
+    const elements = textElements('Ohio', 'Pricing', 'Pricing', 'Deliveries');
+
+    assert.strictEqual(new EnhancedDocxProcessor().assignTabs(elements, { tabs }), true);
+    assert.deepStrictEqual(elements.map(element => element.tab.title), ['Ohio', 'Ohio', 'Maryland', 'Maryland']);
+});
+
+test('a manifest with a tab missing from the DOCX is rejected', () => {
+    const tabs = [
+        { title: 'Ohio', first_paragraph_text: 'Ohio', last_paragraph_text: 'Deliveries', paragraph_count: 3 },
+        { title: 'Maryland', first_paragraph_text: 'Maryland', last_paragraph_text: 'Notes', paragraph_count: 2 }
+    ];
+    const elements = textElements('Ohio', 'Pricing', 'Virginia', 'Notes');
+
+    assert.strictEqual(new EnhancedDocxProcessor().assignTabs(elements, { tabs }), false);
+    assert.ok(elements.every(element => element.tab === undefined));
+});
+
+test('a manifest stamped for another export is ignored', async () => {
+    const docxPath = path.join(workDir, 'document.docx');
+    writeDocx(docxPath, paragraph('Ohio', 'Heading1') + paragraph('Orders must be checked against the price list.'));
+    const tabs = [{ title: 'Ohio tab', first_paragraph_text: 'Ohio', last_paragraph_text: 'Orders must be checked against the price list.', paragraph_count: 2 }];
+    const processWith = async docxSha256 => {
+        fs.writeFileSync(path.join(workDir, 'document.tabs.json'), JSON.stringify({ revision_id: 'r1', docx_sha256: docxSha256, tabs }));
+        const { chunks, statistics } = await new EnhancedDocxProcessor().processDocument(docxPath, path.join(workDir, 'output'));
+        return { used: statistics.tabManifestUsed, tabSection: chunks[0].metadata.tab_section };
+    };
+
+    const matching = crypto.createHash('sha256').update(fs.readFileSync(docxPath)).digest('hex');
+    assert.deepStrictEqual(await processWith(matching), { used: true, tabSection: 'Ohio tab' });
+    assert.deepStrictEqual(await processWith('0'.repeat(64)), { used: false, tabSection: 'Ohio' });
+});
@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedDocxProcessor, reassembleSectionText } = require('../api/docx-processor.js');
+const { paragraph, table, writeDocx } = require('./helpers/docx.js');
+
+// About four table rows fit the target, so nine rows leave a one-row tail
+const OPTIONS = { targetChunkSize: 120, maxChunkSize: 300, overlapSize: 0, minChunkSize: 100 };
+const ROWS = [['Tier', 'Price', 'Units'], ...'ABCDEFGHI'.split('').map((tier, index) => [tier, `$${20 - index}`, `${(index + 1) * 10}`])];
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trailing-fragments-'));
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('the short tail of a long table is merged into the previous chunk row-aligned', async () => {
+    const docxPath = path.join(workDir, 'table.docx');
+    writeDocx(docxPath, paragraph('Pricing', 'Heading1') + table(ROWS));
+    const { chunks } = await new EnhancedDocxProcessor(OPTIONS).processDocument(docxPath, path.join(workDir, 'table'));
+
+    assert.ok(chunks.every(chunk => chunk.metadata.char_count >= OPTIONS.minChunkSize));
+    assert.ok(chunks.every(chunk => chunk.metadata.char_count <= OPTIONS.maxChunkSize));
+
+    const last = chunks[chunks.length - 1];
+    assert.deepStrictEqual(last.metadata.tables.map(dimensions => dimensions.row_range[1]), [9]);
+    assert.ok(last.text.endsWith('| I | $12 | 90 |'));
+    // Each chunk keeps a single header: the merged rows did not bring theirs along
+    chunks.forEach(chunk => assert.strictEqual(chunk.text.split('\n').filter(line => line.startsWith('| Tier |')).length, 1));
+
+    const whole = await new EnhancedDocxProcessor({ ...OPTIONS, targetChunkSize: 100000, maxChunkSize: 100000 })
+        .processDocument(docxPath, path.join(workDir, 'table-whole'));
+    assert.strictEqual(reassembleSectionText(chunks), reassembleSectionText(whole.chunks));
+});